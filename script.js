@@ -1,20 +1,60 @@
-/* script.js – coordinated dashboard with category + state filters */
+/* script.js – coordinated dashboard with category drill-down, state, date range and filter panel
+   selections, every view aggregated by the selected metric */
 
 // ===============================
 // Global variables
 // ===============================
 let data = [];
-let selectedCategory = null;  // null = all categories
-let selectedState = null;     // null = all states
+let dataColumns = [];         // CSV header order, used for exports
+const selectedCategories = new Set(); // empty = all categories
+const selectedStates = new Set();     // empty = all states
+const selectedCities = new Set();     // "City, State" keys; only while that state is selected
+let selectedDateRange = null; // null = full range, else [start, end) month bounds
+const selectedRegions = new Set();   // empty = all regions
+const selectedSegments = new Set();  // empty = all segments
+const selectedShipModes = new Set(); // empty = all ship modes
+const selectedCustomers = new Set(); // Customer IDs, empty = all customers
+const selectedRfmSegments = new Set(); // names from `rfmSegments`, re-scored as the other filters change
+const selectedDiscountBands = new Set(); // keys of `discountBands`, empty = all discounts
+let selectedMetric = 'Sales'; // key into `metrics`
+let drillPath = [];           // [] | [category] | [category, sub-category] | [..., product]
+const TOP_N_PRODUCTS = 10;    // bars shown at the product drill level
+let mapColorMode = 'metric';  // 'metric' | 'shipDays' (average days to ship per state) | 'growth'
+let compareMode = null;       // null = off | 'year' (vs a year earlier) | 'period' (vs the preceding period)
+let forecastHorizon = 0;      // months forecast past the monthly trend, 0 = off
+let scatterSelection = null;  // null = none, else { label, sales: [lo, hi], profit: [lo, hi) } box (+ `cell`, see scatterCell(), for a density cell)
+let scatterMode = 'points';   // 'points' (one dot per order line) | 'density' (hexagonal bins)
+const scatterScales = { x: 'log', y: 'symlog' }; // scatter axis scale types, keys of `scatterScaleTypes`
+const DEFAULT_PIVOT = { rows: 'subcategory', columns: 'region', field: 'Profit', aggregate: 'sum' };
+const pivotConfig = { ...DEFAULT_PIVOT }; // keys of pivotDimensions / pivotFields / pivotAggregates
+const DEFAULT_ALERTS = { margin: 0, sigma: 2, loss: 1000 };
+const alertSettings = { ...DEFAULT_ALERTS }; // margin below, sales drop beyond `sigma` SDs, order line loss over $
+let mapGeometryRequest = null; // cached promise of the state geometry (reset on failure)
+let postalCodeRequest = null;  // cached promise of postal code centroids (city symbols)
+let mapTransform = d3.zoomIdentity; // current map zoom, animated from when it changes
+const UPDATE_DURATION = 500;  // ms, charts animate between filter states
 const tooltip = d3.select('.tooltip');
 
 // ===============================
 // Tooltip helpers
 // ===============================
+// Names in tooltip markup can come from an imported file: escape them
+function escapeHtml(value) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(value).replace(/[&<>"']/g, c => entities[c]);
+}
+
 function showTooltip(event, html) {
     const tooltipWidth = 200; // max-width from CSS
     const windowWidth = window.innerWidth;
-    const mouseX = event.pageX;
+    // Keyboard focus has no pointer position, so anchor to the focused mark
+    let { pageX, pageY } = event;
+    if (pageX === undefined) {
+        const box = event.target.getBoundingClientRect();
+        pageX = box.right + window.scrollX;
+        pageY = box.top + window.scrollY;
+    }
+    const mouseX = pageX;
     
     // If mouse is in the right portion of screen, show tooltip on left of cursor
     let leftPos;
@@ -27,7 +67,7 @@ function showTooltip(event, html) {
     tooltip
         .html(html)
         .style('left', leftPos + 'px')
-        .style('top', (event.pageY - 10) + 'px')
+        .style('top', (pageY - 10) + 'px')
         .classed('visible', true);
 }
 
@@ -35,46 +75,588 @@ function hideTooltip() {
     tooltip.classed('visible', false);
 }
 
+// ===============================
+// Zoom helpers - the scatter and line chart zoom with the wheel (or a pinch)
+// and pan with Alt+drag, leaving a plain drag to their brushes
+// ===============================
+function zoomFilter(event) {
+    if (event.type === 'wheel') return true;
+    if (event.touches) return event.touches.length > 1;
+    return event.altKey && !event.button;
+}
+
+function brushFilter(event) {
+    return !event.ctrlKey && !event.altKey && !event.button &&
+        !(event.touches && event.touches.length > 1);
+}
+
+function isZoomed(transform) {
+    return transform.k !== 1 || transform.x !== 0 || transform.y !== 0;
+}
+
+// ===============================
+// Keyboard and screen-reader helpers
+// ===============================
+let focusedMark = null; // { name, key } of the chart mark last focused from the keyboard
+
+// Chart marks become buttons: one tab stop per chart (roving tabindex), arrow keys
+// and Home / End move between marks (sorted by `order`, else in DOM order), Enter or
+// Space clicks (with Shift to add to the selection) and focus shows the hover tooltip.
+// Marks without a click action pass another `role` (e.g. 'img') and only show it.
+// When a redraw removes the focused mark, focus moves to the mark with the same key
+// (or the first one) so keyboard users keep their place.
+function makeFocusable(marks, { name, key, label, pressed, order, role = 'button' }) {
+    const nodes = order ? d3.sort(marks.nodes(), node => order(d3.select(node).datum())) : marks.nodes();
+    const active = document.activeElement;
+    const parent = nodes.length ? nodes[0].parentNode : null;
+    const lostFocus = focusedMark && focusedMark.name === name &&
+        (active === document.body || (active && active.parentNode === parent && !nodes.includes(active)));
+    const restored = lostFocus
+        ? nodes.find(node => key(d3.select(node).datum()) === focusedMark.key) || nodes[0]
+        : null;
+    const tabStop = restored || nodes.find(node => node === active) ||
+        nodes.find(node => node.getAttribute('tabindex') === '0') || nodes[0];
+
+    marks
+        .attr('tabindex', function() { return this === tabStop ? 0 : -1; })
+        .attr('role', role)
+        .attr('aria-label', label)
+        .attr('aria-pressed', pressed ? d => String(!!pressed(d)) : null)
+        .on('focus.a11y', function(event, d) {
+            focusedMark = { name, key: key(d) };
+            const over = d3.select(this).on('mouseover');
+            if (over) over.call(this, event, d);
+        })
+        .on('blur.a11y', function(event, d) {
+            if (event.relatedTarget) focusedMark = null; // moved on, not redrawn away
+            const out = d3.select(this).on('mouseout');
+            if (out) out.call(this, event, d);
+        })
+        .on('keydown.a11y', function(event) {
+            const steps = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+            const index = nodes.indexOf(this);
+            let next;
+            if (event.key in steps) {
+                next = nodes[(index + steps[event.key] + nodes.length) % nodes.length];
+            } else if (event.key === 'Home') {
+                next = nodes[0];
+            } else if (event.key === 'End') {
+                next = nodes[nodes.length - 1];
+            } else if (event.key === 'Enter' || event.key === ' ') {
+                event.preventDefault();
+                this.dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: event.shiftKey }));
+                return;
+            } else {
+                return;
+            }
+            event.preventDefault();
+            if (!next) return;
+            nodes.forEach(node => node.setAttribute('tabindex', node === next ? 0 : -1));
+            next.focus();
+        });
+
+    if (restored) restored.focus();
+}
+
+// Visually hidden table with the numbers a chart draws, placed right after its
+// svg for screen readers. columns: [{ label, value: row => text }]
+function updateDataTable(chart, caption, columns, rows) {
+    const svg = document.querySelector(chart);
+    let table = svg.nextElementSibling;
+    if (!table || !table.matches('table.sr-data')) {
+        table = document.createElement('table');
+        table.className = 'sr-only sr-data';
+        svg.after(table);
+        const t = d3.select(table);
+        t.append('caption');
+        t.append('thead').append('tr');
+        t.append('tbody');
+    }
+
+    const t = d3.select(table);
+    t.select('caption').text(caption);
+    t.select('thead tr')
+        .selectAll('th')
+        .data(columns)
+        .join('th')
+        .attr('scope', 'col')
+        .text(c => c.label);
+    t.select('tbody')
+        .selectAll('tr')
+        .data(rows)
+        .join('tr')
+        .selectAll('td')
+        .data(row => columns.map(c => c.value(row)))
+        .join('td')
+        .text(d => d);
+}
+
+// Spoken summary of the selection after every filter change (aria-live region)
+function announceFilters() {
+    const metric = currentMetric();
+    const rows = filterData();
+    const filters = activeFilterSummary()
+        .map(([label, value]) => `${label}: ${value}`)
+        .join('; ');
+    d3.select('#filter-announcer').text(
+        `${d3.format(',')(rows.length)} order lines, ${metric.label} ${metric.format(metric.value(rows))}. ${filters}.`
+    );
+}
+
+// ===============================
+// Metrics - drive every rollup, axis, tooltip and the map colors
+// ===============================
+// "$1.2k" / "-$340" style currency for axes and legends
+function formatCurrencyShort(d) {
+    return (d < 0 ? '-$' : '$') + d3.format('.2s')(Math.abs(d));
+}
+
+function formatCurrency(d) {
+    return (d < 0 ? '-$' : '$') + d3.format(',.0f')(Math.abs(d));
+}
+
+const metrics = {
+    Sales: {
+        label: 'Sales',
+        value: v => d3.sum(v, d => d.Sales),
+        format: formatCurrency,
+        tickFormat: formatCurrencyShort,
+        additive: true,
+        diverging: false
+    },
+    Profit: {
+        label: 'Profit',
+        value: v => d3.sum(v, d => d.Profit),
+        format: formatCurrency,
+        tickFormat: formatCurrencyShort,
+        additive: true,
+        diverging: true  // can be negative
+    },
+    Quantity: {
+        label: 'Quantity',
+        value: v => d3.sum(v, d => d.Quantity),
+        format: d3.format(',.0f'),
+        tickFormat: d3.format('.3~s'),
+        additive: true,
+        diverging: false
+    },
+    Margin: {
+        label: 'Margin',
+        value: v => {
+            const sales = d3.sum(v, d => d.Sales);
+            return sales ? d3.sum(v, d => d.Profit) / sales : 0;
+        },
+        format: d3.format('.1%'),
+        tickFormat: d3.format('.0%'),
+        additive: false, // a ratio, so state contributions can't be stacked
+        diverging: true
+    },
+    Orders: {
+        label: 'Orders',
+        value: v => new Set(v.map(d => d['Order ID'])).size,
+        format: d3.format(',.0f'),
+        tickFormat: d3.format('.3~s'),
+        additive: true,  // each order ships to a single state
+        diverging: false
+    }
+};
+
+function currentMetric() {
+    return metrics[selectedMetric];
+}
+
+// ===============================
+// Filter helpers
+// ===============================
+const filterPredicates = {
+    category: d => !selectedCategories.size || selectedCategories.has(d.Category),
+    state: d => !selectedStates.size || selectedStates.has(d.State),
+    city: d => !selectedCities.size || selectedCities.has(cityKey(d)),
+    dateRange: d => !selectedDateRange ||
+        (d.OrderDate >= selectedDateRange[0] && d.OrderDate < selectedDateRange[1]),
+    region: d => !selectedRegions.size || selectedRegions.has(d.Region),
+    segment: d => !selectedSegments.size || selectedSegments.has(d.Segment),
+    shipMode: d => !selectedShipModes.size || selectedShipModes.has(d['Ship Mode']),
+    customer: d => !selectedCustomers.size || selectedCustomers.has(d['Customer ID']),
+    rfm: d => !selectedRfmSegments.size || selectedRfmSegments.has(customerRfmSegments().get(d['Customer ID'])),
+    discount: d => !selectedDiscountBands.size || selectedDiscountBands.has(d.DiscountBand),
+    drill: d => drillPath.every((value, i) => d[drillLevels[i]] === value)
+};
+
+// Rows matching every active filter except the ones named in `skip`
+// (a view skips the dimensions it shows in full, e.g. the map skips 'state').
+// The result is shared between views through the filter index below: read it, don't mutate it.
+function filterData(skip = []) {
+    if (filterIndex.rows !== data) resetFilterIndex();
+
+    const active = Object.keys(filterPredicates)
+        .filter(name => !skip.includes(name))
+        .map(name => ({ name, mask: dimensionMask(name) }))
+        .filter(d => d.mask);
+    const key = active.map(d => d.name).join(',');
+
+    if (!filterIndex.results.has(key)) {
+        filterIndex.results.set(key, data.filter((_, i) => active.every(d => d.mask[i])));
+    }
+    return filterIndex.results.get(key);
+}
+
+// Filter index (crossfilter-style): one row mask per dimension, rebuilt only when
+// that dimension's selection changes, and the filtered rows cached per combination
+// of active dimensions. A click re-tests one predicate instead of all of them, and
+// views asking for the same combination share one array.
+const filterIndex = { rows: null, masks: {}, signatures: {}, results: new Map() };
+
+// Current selection of each dimension as a string, '' while it is inactive
+const setSignature = set => Array.from(set).sort().join('\n');
+const filterSignatures = {
+    category: () => setSignature(selectedCategories),
+    state: () => setSignature(selectedStates),
+    city: () => setSignature(selectedCities),
+    dateRange: () => selectedDateRange ? selectedDateRange.map(Number).join('\n') : '',
+    region: () => setSignature(selectedRegions),
+    segment: () => setSignature(selectedSegments),
+    shipMode: () => setSignature(selectedShipModes),
+    customer: () => setSignature(selectedCustomers),
+    // Customers are scored under the other filters, so any of them changing re-tests this one
+    rfm: () => selectedRfmSegments.size
+        ? [setSignature(selectedRfmSegments), ...Object.keys(filterSignatures)
+            .filter(name => name !== 'rfm' && name !== 'customer')
+            .map(name => filterSignatures[name]())].join('|')
+        : '',
+    discount: () => setSignature(selectedDiscountBands),
+    drill: () => drillPath.join('\n')
+};
+
+function resetFilterIndex() {
+    filterIndex.rows = data;
+    filterIndex.masks = {};
+    filterIndex.signatures = {};
+    filterIndex.results.clear();
+}
+
+// 1 for rows passing the dimension's predicate; null while the dimension is inactive
+function dimensionMask(name) {
+    const signature = filterSignatures[name]();
+    if (filterIndex.signatures[name] !== signature) {
+        filterIndex.signatures[name] = signature;
+        filterIndex.masks[name] = signature ? Uint8Array.from(data, filterPredicates[name]) : null;
+        // Cached combinations that include this dimension are stale
+        Array.from(filterIndex.results.keys())
+            .filter(key => key.split(',').includes(name))
+            .forEach(key => filterIndex.results.delete(key));
+    }
+    return filterIndex.masks[name];
+}
+
+// Plain click selects only `value` (or clears it if it was the only one);
+// shift-click adds it to / removes it from the selection
+function toggleSelection(set, value, additive) {
+    if (additive) {
+        if (set.has(value)) set.delete(value);
+        else set.add(value);
+    } else if (set.size === 1 && set.has(value)) {
+        set.clear();
+    } else {
+        set.clear();
+        set.add(value);
+    }
+}
+
+// Cities are only unique within a state ("Springfield")
+function cityKey(d) {
+    return `${d.City}, ${d.State}`;
+}
+
+// Fixed hue per category, shared by the bars and the scatter
+const categoryColor = d3.scaleOrdinal()
+    .domain(['Furniture', 'Office Supplies', 'Technology'])
+    .range(['#34a853', '#fbbc04', '#4285f4']);
+
+// One color per selected state, shared by the line series and bar overlays
+function stateColorScale() {
+    return d3.scaleOrdinal()
+        .domain(Array.from(selectedStates))
+        .range(d3.schemeTableau10);
+}
+
+// Orders inside the scatter's brushed box (or quadrant preset), or the orders of a
+// clicked density cell, drawn from the rows the scatter currently shows; null when
+// nothing is brushed
+function getScatterSelection() {
+    if (!scatterSelection) return null;
+    const { sales, profit, cell } = scatterSelection;
+    return filterData().filter(d =>
+        d.Sales > 0 &&
+        d.Sales >= sales[0] && d.Sales <= sales[1] &&
+        d.Profit >= profit[0] && d.Profit < profit[1] &&
+        (!cell || inScatterCell(d, cell))
+    );
+}
+
+const SELECTION_COLOR = '#22d3ee';
+
+// "Texas, California" or "5 states"
+function formatStateList() {
+    const states = Array.from(selectedStates);
+    return states.length <= 3 ? states.join(', ') : `${states.length} states`;
+}
+
+// "Jan 2012 – Jun 2013" for a [start, end) month range
+function formatDateRange(range) {
+    const fmt = d3.timeFormat('%b %Y');
+    const lastMonth = d3.timeMonth.offset(range[1], -1);
+    return +lastMonth === +range[0]
+        ? fmt(range[0])
+        : `${fmt(range[0])} – ${fmt(lastMonth)}`;
+}
+
+// ===============================
+// Period comparison helpers
+// ===============================
+// Current period: the brushed date range, or the latest 12 months of data.
+// Previous period: a year earlier, or the equally long period right before it.
+// The map's growth mode compares year over year when the toggle is off.
+function comparisonPeriods(mode = compareMode) {
+    const lastMonth = d3.timeMonth(d3.max(data, d => d.OrderDate));
+    const current = selectedDateRange ||
+        [d3.timeMonth.offset(lastMonth, -11), d3.timeMonth.offset(lastMonth, 1)];
+    const shift = mode === 'period' ? d3.timeMonth.count(...current) : 12;
+    return { current, previous: current.map(date => d3.timeMonth.offset(date, -shift)) };
+}
+
+function inPeriod(rows, [start, end]) {
+    return rows.filter(d => d.OrderDate >= start && d.OrderDate < end);
+}
+
+// Relative change for additive metrics, plain difference for ratios and averages
+// (a margin going from 10% to 12% is +2.0%, not +20%); null when there's no baseline
+function periodChange(metric, current, previous) {
+    if (previous === undefined || isNaN(previous)) return null;
+    if (!metric.additive) return current - previous;
+    return previous ? (current - previous) / Math.abs(previous) : null;
+}
+
+function formatChange(metric, change) {
+    if (change === null) return 'n/a';
+    const sign = change >= 0 ? '+' : '';
+    return metric.additive ? sign + d3.format('.1%')(change) : sign + metric.format(change);
+}
+
 // ===============================
 // Load and process data
 // ===============================
-d3.csv('data/Superstore.csv').then(rawData => {
-    console.log('=== CSV LOADING ===');
-    console.log('Raw data loaded:', rawData.length, 'rows');
-    
+// Order Date / Ship Date in the Superstore CSV are DD-MM-YYYY. `new Date()` would read
+// them as MM-DD, so dates are parsed explicitly with this d3 time format.
+const loaderConfig = {
+    dateFormat: '%d-%m-%Y'
+};
+
+// Parse raw CSV rows into typed rows; rows that fail validation are rejected
+// with a reason instead of being silently dropped
+function parseRows(rawRows, { dateFormat }) {
+    const parseDate = d3.timeParse(dateFormat);
+    const formatDate = d3.timeFormat(dateFormat);
+    // timeParse rolls impossible dates over (31-02 → 03-03), so require a clean round trip
+    const strictDate = value => {
+        const text = (value || '').trim();
+        const date = parseDate(text);
+        return date && formatDate(date) === text ? date : null;
+    };
+
+    const rows = [];
+    const rejected = [];
+
+    rawRows.forEach((d, i) => {
+        const row = {
+            ...d,
+            Sales: +d.Sales,
+            Profit: +d.Profit,
+            Quantity: +d.Quantity,
+            Discount: +d.Discount,
+            OrderDate: strictDate(d['Order Date']),
+            ShipDate: strictDate(d['Ship Date'])
+        };
+
+        let reason = null;
+        if (!row.OrderDate) {
+            reason = `Order Date not ${dateFormat}`;
+        } else if (!row.ShipDate) {
+            reason = `Ship Date not ${dateFormat}`;
+        } else if (row.ShipDate < row.OrderDate) {
+            reason = 'Ship Date before Order Date';
+        } else if (['Sales', 'Profit', 'Quantity', 'Discount'].some(key => isNaN(row[key]))) {
+            reason = 'Non-numeric Sales, Profit, Quantity or Discount';
+        }
+
+        if (reason) {
+            rejected.push({ line: i + 2, id: d['Row ID'], reason }); // line 1 is the header
+        } else {
+            row.Month = d3.timeMonth(row.OrderDate); // monthly rollups group on this
+            row.DaysToShip = d3.timeDay.count(row.OrderDate, row.ShipDate);
+            row.DiscountBand = discountBand(row.Discount);
+            rows.push(row);
+        }
+    });
+
+    return { rows, rejected };
+}
+
+// Header summary of the load: accepted rows, and rejected rows grouped by reason
+function showLoadReport(total, rejected, source) {
+    const report = d3.select('#load-report');
+    report.select('summary').text(
+        `${source ? `${source}: ` : ''}` +
+        `${d3.format(',')(total - rejected.length)} rows loaded · ${d3.format(',')(rejected.length)} rejected`
+    );
+    report.classed('has-rejects', rejected.length > 0);
+
+    const byReason = d3.groups(rejected, d => d.reason)
+        .sort((a, b) => b[1].length - a[1].length);
+
+    report.select('ul')
+        .selectAll('li')
+        .data(byReason)
+        .join('li')
+        .text(([reason, rows]) => {
+            const lines = rows.slice(0, 5).map(d => d.line).join(', ');
+            return `${reason}: ${d3.format(',')(rows.length)} (CSV lines ${lines}${rows.length > 5 ? ', …' : ''})`;
+        });
+}
+
+// Replace the dataset (bundled CSV or an imported file) and rebuild the
+// controls that list values from the data; callers then redraw. A file with no
+// usable row leaves the current dataset in place. Returns the parse result.
+function setDataset(rawRows, columns, config, source) {
     // Parse and clean data
-    data = rawData.map(d => ({
-        ...d,
-        Sales: +d.Sales,
-        Profit: +d.Profit,
-        Quantity: +d.Quantity,
-        Discount: +d.Discount,
-        OrderDate: new Date(d['Order Date'])
-    })).filter(d => !isNaN(d.OrderDate));
-    
+    const { rows, rejected } = parseRows(rawRows, config);
+    if (!rows.length && data.length) {
+        console.log('No usable rows, keeping the current data:', rejected);
+        return { rows, rejected };
+    }
+    dataColumns = columns;
+    data = rows;
+    // Row IDs in a new file don't name the same orders: drop the old scatter
+    // marks instead of gliding them to unrelated rows
+    scatterChart.marks = [];
+    showLoadReport(rawRows.length, rejected, source);
+
     console.log('Data loaded:', data.length, 'rows');
+    if (rejected.length) console.log('Rejected rows:', rejected);
     console.log('===================');
-    
-    // Draw all views once
+
+    // Build the filter panel from the values present in the data
+    createFilterPanel();
+    return { rows, rejected };
+}
+
+d3.csv('data/Superstore.csv').then(rawData => {
+    console.log('=== CSV LOADING ===');
+    console.log('Raw data loaded:', rawData.length, 'rows');
+    setDataset(rawData, rawData.columns, loaderConfig);
+
+    createCharts();
+    createScatterControls();
+    createOrderTable();
+    createShippingControls();
+    createCustomerControls();
+    createDiscountControls();
+    createPivotControls();
+    createAlertControls();
+    createExportControls();
+    createImportControls();
+    d3.select('#retry-map').on('click', () => applyFilters());
+    d3.select('#toggle-map-growth').on('click', () => {
+        mapColorMode = mapColorMode === 'growth' ? 'metric' : 'growth';
+        applyFilters();
+    });
+
+    // Restore any shared selection from the URL, then draw all views once
+    readUrlState();
+    applyFilters({ pushHistory: false });
+    observePanelSizes();
+});
+
+document.getElementById('clear-date-range').addEventListener('click', () => {
+    selectedDateRange = null;
     applyFilters();
-    // Map is static in terms of geometry, but interactive
-    regionalSalesMap(data);
+});
+
+document.getElementById('forecast-horizon').addEventListener('change', function() {
+    forecastHorizon = +this.value;
+    applyFilters();
+});
+
+document.getElementById('reset-line-zoom').addEventListener('click', () => {
+    lineChart.plot.transition()
+        .duration(UPDATE_DURATION)
+        .call(lineChart.zoom.transform, d3.zoomIdentity);
 });
 
 // ===============================
 // Main coordinator
 // ===============================
-function applyFilters() {
-    createCategoryBarChart();      // uses selectedState for overlays
-    createMonthlySalesLineChart(); // uses selectedState for trend
-    createSalesVsProfitScatter();  // uses both selectedCategory & selectedState
+// Axes and layers of every chart but the map, sized to their panels.
+// Built once (and again when the layout changes); applyFilters() updates them.
+function createCharts() {
+    createCategoryBarChart();
+    createMonthlySalesLineChart();
+    createSalesVsProfitScatter();
+    createShippingBoxPlot();
+    createShippingTrend();
+    createDiscountMarginChart();
+    createDiscountBreakEvenGrid();
+    createRfmSegmentChart();
+    createCustomerLeaderboard();
+    createCohortRetentionGrid();
+}
+
+// Exit for joined marks: fade out (no longer hoverable) and remove
+function fadeOut(t) {
+    return exit => exit
+        .style('pointer-events', 'none')
+        .transition(t)
+        .attr('opacity', 0)
+        .remove();
+}
+
+// pushHistory: false when re-rendering from the URL (load, back/forward);
+// announce: false when only the layout changed
+function applyFilters({ pushHistory = true, announce = true } = {}) {
+    // City selections only live while their state is selected
+    selectedCities.forEach(key => {
+        if (!selectedStates.has(key.slice(key.lastIndexOf(', ') + 2))) selectedCities.delete(key);
+    });
+
+    updateKpiStrip();              // headline totals, sparklines and change vs prior period
+    updateCategoryBarChart();      // drill level bars, selectedStates for stacked overlays
+    updateMonthlySalesLineChart(); // one series per selected state within the categories / drill path, moves the date brush
+    updateSalesVsProfitScatter();  // uses selectedCategories, drillPath, selectedStates & selectedDateRange
+    updateOrderTable();            // rows behind the current filters / scatter selection
+    updateShippingPanel();         // days to ship by ship mode, all modes shown
+    updateDiscountPanel();         // margin by discount band, all bands shown
+    updateCustomerPanel();         // RFM segments, leaderboard and cohorts, all customers shown
+    updatePivotPanel();            // cross-tab of the chosen dimensions, each shown in full
+    updateAlertsPanel();           // low margins, sales drops and extreme losses under the filters
+    // Map geometry is cached, colors re-aggregate to the date window and panel filters
+    // (comparisons slice both periods out of the full timeline themselves)
+    const comparingMap = compareMode || mapColorMode === 'growth';
+    regionalSalesMap(filterData(['category', 'state', 'city', 'drill', ...(comparingMap ? ['dateRange'] : [])]));
+    updateFilterPanel();
+    writeUrlState(pushHistory);
+    if (announce) announceFilters();
 }
 
 // ===============================
-// 1. BAR CHART - Sales by Category (also category selector)
+// 1. BAR CHART - Metric by Category → Sub-Category → Product (drill-down + category selector)
 // ===============================
+const drillLevels = ['Category', 'Sub-Category', 'Product Name'];
+const drillLevelTitles = ['by Category', 'by Sub-Category', `– Top ${TOP_N_PRODUCTS} Products`];
+const barChart = {}; // scales and layers, built once by createCategoryBarChart()
+
+// Build the axes and layers once; updateCategoryBarChart() joins each filter
+// state into them so bars grow, shrink and slide instead of being redrawn
 function createCategoryBarChart() {
-    console.log('📊 BAR CHART: Rendering with state:', selectedState);
     const container = document.querySelector('#category-sales');
     const margin = {top: 10, right: 10, bottom: 100, left: 50}; // increased bottom margin
     const baseWidth = container.clientWidth;
@@ -84,361 +666,1089 @@ function createCategoryBarChart() {
     
     const root = d3.select('#category-sales svg')
         .attr('width', baseWidth)
-        .attr('height', baseHeight);
+        .attr('height', baseHeight)
+        .attr('role', 'group');
 
-    root.selectAll('*').remove(); // clear previous
+    root.selectAll('*').remove();
 
     const svg = root.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    Object.assign(barChart, {
+        root,
+        width,
+        height,
+        narrow: isNarrow(baseWidth),
+        x: d3.scaleBand().range([0, width]).padding(0.3),
+        y: d3.scaleLinear().range([height, 0]),
+        xAxis: svg.append('g')
+            .attr('class', 'axis')
+            .attr('transform', `translate(0,${height})`),
+        yAxis: svg.append('g')
+            .attr('class', 'axis'),
+        // Zero baseline, shown when values can go negative
+        zeroLine: svg.append('line')
+            .attr('x1', 0)
+            .attr('x2', width)
+            .attr('stroke', '#666')
+            .attr('opacity', 0),
+        previousLayer: svg.append('g'),
+        barLayer: svg.append('g'),
+        overlayLayer: svg.append('g'),
+        selectionLayer: svg.append('g'),
+        changeLayer: svg.append('g'),
+        message: svg.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .style('fill', '#aaa')
+    });
+}
+
+function updateCategoryBarChart() {
+    console.log('📊 BAR CHART: Updating with drill path/states:', drillPath, Array.from(selectedStates));
+    const metric = currentMetric();
+    const { width, height, x, y, narrow } = barChart;
+    const t = chartTransition();
+
+    // Products are the deepest level; a selected product stays on that level
+    const level = Math.min(drillPath.length, drillLevels.length - 1);
+    const levelColumn = drillLevels[level];
+    const parentPath = drillPath.slice(0, level);
+    const inParent = d => parentPath.every((value, i) => d[drillLevels[i]] === value);
+
+    // Comparing periods: bars cover the current period of the selected states,
+    // with the previous period as a ghost bar alongside
+    const periods = compareMode && comparisonPeriods();
+
+    const title = periods
+        ? `${metric.label} ${drillLevelTitles[level]} · ${formatDateRange(periods.current)} vs ${formatDateRange(periods.previous)}`
+        : `${metric.label} ${drillLevelTitles[level]}`;
+    d3.select('#category-sales h2').text(title);
+    barChart.root.attr('aria-label', `Bar chart: ${title}`);
+    updateDrillBreadcrumb();
     
-    // Global aggregate sales by category
-    const categoryData = d3.rollup(
-        data,
-        v => d3.sum(v, d => d.Sales),
-        d => d.Category
+    // Global aggregate for this level (within the date window and drill parent)
+    const comparedRows = periods && filterData(['category', 'drill', 'dateRange']).filter(inParent);
+    const levelRows = periods
+        ? inPeriod(comparedRows, periods.current)
+        : filterData(['category', 'state', 'drill']).filter(inParent);
+    const levelData = d3.rollup(
+        levelRows,
+        v => ({ value: metric.value(v), category: v[0].Category }),
+        d => d[levelColumn]
     );
     
-    const chartData = Array.from(categoryData, ([category, sales]) => ({
-        category,
-        sales
-    })).sort((a, b) => b.sales - a.sales);
-    
-    // Scales
-    const x = d3.scaleBand()
-        .domain(chartData.map(d => d.category))
-        .range([0, width])
-        .padding(0.3);
-    
-    const y = d3.scaleLinear()
-        .domain([0, d3.max(chartData, d => d.sales)])
-        .nice()
-        .range([height, 0]);
+    let chartData = Array.from(levelData, ([key, d]) => ({
+        key,
+        category: d.category,
+        value: d.value
+    })).sort((a, b) => b.value - a.value);
+
+    if (level === drillLevels.length - 1) {
+        chartData = chartData.slice(0, TOP_N_PRODUCTS);
+    }
+
+    if (periods) {
+        const previousByKey = d3.rollup(
+            inPeriod(comparedRows, periods.previous),
+            metric.value,
+            d => d[levelColumn]
+        );
+        chartData.forEach(d => {
+            d.previous = previousByKey.get(d.key);
+            d.change = periodChange(metric, d.value, d.previous);
+        });
+    }
+
+    barChart.message.text(chartData.length ? '' : 'No data for this selection');
+
+    // Selection highlight: categories at the top level, the chosen product at the bottom
+    const isHighlighted = d => {
+        if (level === 0) return !selectedCategories.size || selectedCategories.has(d.key);
+        if (drillPath.length > level) return d.key === drillPath[level];
+        return true;
+    };
+
+    // State overlays: one segment per (bar, state). Additive metrics stack
+    // in selection order (positives up, negatives down); Margin can't be summed,
+    // so its segments sit side by side instead.
+    let segments = [];
+    if (selectedStates.size && !periods) {
+        const stateLevelRollup = d3.rollup(
+            filterData(['category', 'drill']).filter(inParent),
+            metric.value,
+            d => d[levelColumn],
+            d => d.State
+        );
+
+        segments = chartData.flatMap(d => {
+            const byState = stateLevelRollup.get(d.key) || new Map();
+            let posBase = 0;
+            let negBase = 0;
+            return Array.from(selectedStates, (state, i) => {
+                const stateValue = byState.get(state) || 0;
+                let y0 = 0;
+                if (metric.additive) {
+                    y0 = stateValue >= 0 ? posBase : negBase;
+                    if (stateValue >= 0) posBase += stateValue;
+                    else negBase += stateValue;
+                }
+                return {
+                    key: d.key,
+                    category: d.category,
+                    total: d.value,
+                    state,
+                    index: i,
+                    stateValue,
+                    y0,
+                    y1: y0 + stateValue
+                };
+            });
+        });
+    }
     
-    // Base color scale
-    const color = d3.scaleOrdinal()
-        .domain(chartData.map(d => d.category))
-        .range(['#4285f4', '#34a853', '#fbbc04']);
+    // Scales (the previous domain stays put while there is nothing to show)
+    const yExtent = d3.extent([
+        0,
+        ...chartData.map(d => d.value),
+        ...chartData.map(d => d.previous || 0),
+        ...segments.flatMap(d => [d.y0, d.y1])
+    ]);
+    x.domain(chartData.map(d => d.key));
+    if (chartData.length) y.domain(yExtent).nice();
     
-    // Axes
-    svg.append('g')
-        .attr('class', 'axis')
-        .attr('transform', `translate(0,${height})`)
-        .call(d3.axisBottom(x))
-        .selectAll('text')
+    // Axes (long product names are truncated, full name in the tooltip)
+    const maxLabel = narrow ? 12 : 18;
+    barChart.xAxis
+        .attr('opacity', chartData.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisBottom(x).tickFormat(d => d.length > maxLabel ? d.slice(0, maxLabel - 1) + '…' : d));
+    barChart.xAxis.selectAll('text')
         .attr('transform', 'rotate(-45)')
         .style('text-anchor', 'end')
         .attr('dx', '-0.5em')
         .attr('dy', '0.5em');
     
-    svg.append('g')
-        .attr('class', 'axis')
-        .call(d3.axisLeft(y).ticks(4).tickFormat(d => '$' + d3.format('.2s')(d)));
+    barChart.yAxis
+        .attr('opacity', chartData.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y).ticks(narrow ? 3 : 4).tickFormat(metric.tickFormat));
+
+    barChart.zeroLine
+        .transition(t)
+        .attr('y1', y(0))
+        .attr('y2', y(0))
+        .attr('opacity', yExtent[0] < 0 ? 1 : 0);
     
-    // Bars (global totals)
-    svg.selectAll('.bar')
-        .data(chartData)
-        .join('rect')
-        .attr('class', 'bar')
-        .attr('x', d => x(d.category))
-        .attr('y', d => y(d.sales))
-        .attr('width', x.bandwidth())
-        .attr('height', d => height - y(d.sales))
-        .attr('fill', d => color(d.category))
-        .attr('opacity', d =>
-            !selectedCategory || d.category === selectedCategory ? 1 : 0.3
+    // Click: drill one level down, toggle a product at the bottom level,
+    // or shift-click to multi-select categories at the top level
+    const onBarClick = (event, d) => {
+        if (level === 0 && event.shiftKey) {
+            toggleSelection(selectedCategories, d.key, true);
+        } else if (level === drillLevels.length - 1) {
+            drillPath = drillPath[level] === d.key
+                ? drillPath.slice(0, level)
+                : [...parentPath, d.key];
+        } else {
+            // The drill path now does the category filtering
+            drillPath = [...parentPath, d.key];
+            selectedCategories.clear();
+        }
+        hideTooltip();
+        applyFilters();
+    };
+
+    // Comparison mode splits each band: previous period left, current right
+    const barX = d => x(d.key) + (periods ? x.bandwidth() * 0.45 : 0);
+    const barWidth = periods ? x.bandwidth() * 0.55 : x.bandwidth();
+    const totalLabel = periods
+        ? `${formatDateRange(periods.current)}${selectedStates.size ? ` (${formatStateList()})` : ''}`
+        : 'Total (All States)';
+    const changeLine = d => periods
+        ? `<br>${formatDateRange(periods.previous)}: ${d.previous === undefined ? 'n/a' : metric.format(d.previous)}
+           <br>Δ ${metric.label}: ${formatChange(metric, d.change)}`
+        : '';
+
+    // New rects grow out of the zero line, removed ones shrink back into it
+    const enterRect = (className, left, rectWidth) => enter => enter.append('rect')
+        .attr('class', className)
+        .attr('x', left)
+        .attr('width', rectWidth)
+        .attr('y', y(0))
+        .attr('height', 0);
+    const exitRect = exit => exit
+        .style('pointer-events', 'none')
+        .transition(t)
+        .attr('y', y(0))
+        .attr('height', 0)
+        .remove();
+
+    barChart.previousLayer.selectAll('.bar-previous')
+        .data(periods ? chartData.filter(d => d.previous !== undefined) : [], d => d.key)
+        .join(enterRect('bar-previous', d => x(d.key), x.bandwidth() * 0.45), update => update, exitRect)
+        .attr('fill', d => categoryColor(d.category))
+        .style('cursor', 'pointer')
+        .on('mouseover', function(event, d) {
+            showTooltip(event, `
+                <strong>${escapeHtml(d.key)}</strong><br>
+                ${formatDateRange(periods.previous)}: ${metric.format(d.previous)}
+            `);
+        })
+        .on('mouseout', hideTooltip)
+        .on('click', onBarClick)
+        .transition(t)
+        .attr('x', d => x(d.key))
+        .attr('y', d => y(Math.max(0, d.previous)))
+        .attr('width', x.bandwidth() * 0.45)
+        .attr('height', d => Math.abs(y(d.previous) - y(0)))
+        .attr('opacity', d => isHighlighted(d) ? 0.35 : 0.15);
+
+    // % change above each pair
+    barChart.changeLayer.selectAll('.bar-change')
+        .data(periods ? chartData : [], d => d.key)
+        .join(
+            enter => enter.append('text')
+                .attr('class', 'bar-change')
+                .attr('x', d => x(d.key) + x.bandwidth() / 2)
+                .attr('y', y(0))
+                .attr('opacity', 0),
+            update => update,
+            exit => exit.transition(t).attr('opacity', 0).remove()
         )
+        .attr('text-anchor', 'middle')
+        .style('font-size', '9px')
+        .style('fill', d => d.change === null ? '#aaa' : d.change >= 0 ? '#60a5fa' : '#f87171')
+        .style('pointer-events', 'none')
+        .text(d => formatChange(metric, d.change))
+        .transition(t)
+        .attr('x', d => x(d.key) + x.bandwidth() / 2)
+        .attr('y', d => y(Math.max(0, d.value, d.previous || 0)) - 3)
+        .attr('opacity', 1);
+
+    // Bars (global totals, colored by their category)
+    const bars = barChart.barLayer.selectAll('.bar')
+        .data(chartData, d => d.key)
+        .join(enterRect('bar', barX, barWidth), update => update, exitRect)
+        .attr('fill', d => categoryColor(d.category))
+        .style('cursor', 'pointer')
         .on('mouseover', function(event, d) {
             showTooltip(event, `
-                <strong>${d.category}</strong><br>
-                Total Sales (All States): $${d3.format(',.0f')(d.sales)}
+                <strong>${escapeHtml(d.key)}</strong><br>
+                ${level > 0 ? `${escapeHtml(d.category)}<br>` : ''}
+                ${metric.label} ${totalLabel}: ${metric.format(d.value)}${changeLine(d)}
             `);
         })
         .on('mouseout', function() {
             hideTooltip();
         })
-        .on('click', function(_, d) {
-            // Toggle category selection
-            if (selectedCategory === d.category) {
-                selectedCategory = null;
-            } else {
-                selectedCategory = d.category;
-            }
-            applyFilters();
-        });
+        .on('click', onBarClick);
 
-    // If a state is selected, overlay mini-bars showing state's contribution
-    if (selectedState) {
-        // Aggregate state sales by category
-        const stateData = data.filter(d => d.State === selectedState);
-        const stateCatRollup = d3.rollup(
-            stateData,
-            v => d3.sum(v, d => d.Sales),
-            d => d.Category
-        );
+    bars.transition(t)
+        .attr('x', barX)
+        .attr('y', d => y(Math.max(0, d.value)))
+        .attr('width', barWidth)
+        .attr('height', d => Math.abs(y(d.value) - y(0)))
+        .attr('opacity', d => isHighlighted(d) ? 1 : 0.3);
 
-        svg.selectAll('.state-overlay')
-            .data(chartData)
-            .join('rect')
-            .attr('class', 'state-overlay')
-            .attr('x', d => x(d.category) + x.bandwidth() * 0.2)   // narrower, centered
-            .attr('width', x.bandwidth() * 0.6)
-            .attr('y', d => {
-                const stateSales = stateCatRollup.get(d.category) || 0;
-                const ratio = d.sales ? stateSales / d.sales : 0;
-                const fullH = height - y(d.sales);
-                const overlayH = fullH * ratio;
-                return y(d.sales) + (fullH - overlayH);
-            })
-            .attr('height', d => {
-                const stateSales = stateCatRollup.get(d.category) || 0;
-                const ratio = d.sales ? stateSales / d.sales : 0;
-                const fullH = height - y(d.sales);
-                return fullH * ratio;
-            })
-            .attr('fill', d => d3.color(color(d.category)).darker(0.8))
-            .attr('opacity', 0.9)
-            .on('mouseover', function(event, d) {
-                const stateSales = stateCatRollup.get(d.category) || 0;
-                const ratio = d.sales ? stateSales / d.sales : 0;
-                showTooltip(event, `
-                    <strong>${selectedState} – ${d.category}</strong><br>
-                    State Sales: $${d3.format(',.0f')(stateSales)}<br>
-                    Share of Category: ${d3.format('.1%')(ratio)}
-                `);
-            })
-            .on('mouseout', hideTooltip);
+    makeFocusable(bars, {
+        name: 'bars',
+        key: d => d.key,
+        label: d => `${d.key}: ${metric.label} ${metric.format(d.value)}` +
+            (periods ? `, ${formatChange(metric, d.change)} vs ${formatDateRange(periods.previous)}` : ''),
+        pressed: d => level === 0 ? selectedCategories.has(d.key) : drillPath[level] === d.key
+    });
+
+    // If states are selected, overlay mini-bars showing each state's contribution
+    // Single state keeps the category hue, several states use the shared state palette
+    const stateColor = stateColorScale();
+    const overlayFill = d => selectedStates.size === 1
+        ? d3.color(categoryColor(d.category)).darker(0.8)
+        : stateColor(d.state);
+
+    // Narrower, centered; grouped side by side for non-additive metrics
+    const overlayWidth = x.bandwidth() * 0.6;
+    const slotWidth = metric.additive ? overlayWidth : overlayWidth / selectedStates.size;
+    const overlayX = d => x(d.key) + x.bandwidth() * 0.2 + (metric.additive ? 0 : d.index * slotWidth);
+
+    barChart.overlayLayer.selectAll('.state-overlay')
+        .data(segments, d => `${d.key}|${d.state}`)
+        .join(enterRect('state-overlay', overlayX, slotWidth), update => update, exitRect)
+        .attr('fill', overlayFill)
+        .style('cursor', 'pointer')
+        .on('mouseover', function(event, d) {
+            const share = metric.additive && d.total
+                ? `<br>Share of ${level === 0 ? 'Category' : 'Total'}: ${d3.format('.1%')(d.stateValue / d.total)}`
+                : '';
+            showTooltip(event, `
+                <strong>${escapeHtml(d.state)} – ${escapeHtml(d.key)}</strong><br>
+                State ${metric.label}: ${metric.format(d.stateValue)}${share}
+            `);
+        })
+        .on('mouseout', hideTooltip)
+        .on('click', onBarClick)
+        .transition(t)
+        .attr('x', overlayX)
+        .attr('width', slotWidth)
+        .attr('y', d => y(Math.max(d.y0, d.y1)))
+        .attr('height', d => Math.abs(y(d.y0) - y(d.y1)))
+        .attr('opacity', 0.9);
+
+    // Orders brushed in the scatter: thin inner bar with their share of each bar
+    const selectedRows = getScatterSelection();
+    let selectionData = [];
+    if (selectedRows) {
+        const selectionRollup = d3.rollup(
+            (periods ? inPeriod(selectedRows, periods.current) : selectedRows).filter(inParent),
+            metric.value,
+            d => d[levelColumn]
+        );
+        selectionData = chartData
+            .filter(d => selectionRollup.has(d.key))
+            .map(d => ({ ...d, selectedValue: selectionRollup.get(d.key) }));
     }
 
+    barChart.selectionLayer.selectAll('.selection-overlay')
+        .data(selectionData, d => d.key)
+        .join(enterRect('selection-overlay', d => barX(d) + barWidth * 0.4, barWidth * 0.2), update => update, exitRect)
+        .attr('fill', SELECTION_COLOR)
+        .on('mouseover', function(event, d) {
+            showTooltip(event, `
+                <strong>${escapeHtml(d.key)} – ${escapeHtml(scatterSelection.label)}</strong><br>
+                ${metric.label}: ${metric.format(d.selectedValue)}
+            `);
+        })
+        .on('mouseout', hideTooltip)
+        .on('click', onBarClick)
+        .transition(t)
+        .attr('x', d => barX(d) + barWidth * 0.4)
+        .attr('width', barWidth * 0.2)
+        .attr('y', d => y(Math.max(0, d.selectedValue)))
+        .attr('height', d => Math.abs(y(d.selectedValue) - y(0)));
+
+    updateDataTable('#category-sales svg', title, [
+        { label: drillLevels[level], value: d => d.key },
+        { label: metric.label, value: d => metric.format(d.value) },
+        ...(periods ? [
+            { label: formatDateRange(periods.previous), value: d => d.previous === undefined ? 'n/a' : metric.format(d.previous) },
+            { label: 'Change', value: d => formatChange(metric, d.change) }
+        ] : [])
+    ], chartData);
+
     console.log('BAR CHART: Complete!');
 }
 
+// Breadcrumb for the drill path: "All › Furniture › Tables"
+function updateDrillBreadcrumb() {
+    const crumbs = [{ label: 'All', depth: 0 }]
+        .concat(drillPath.map((value, i) => ({ label: value, depth: i + 1 })));
+
+    d3.select('#drill-breadcrumb')
+        .selectAll('.crumb')
+        .data(crumbs)
+        .join('button')
+        .attr('class', 'crumb')
+        .attr('type', 'button')
+        .classed('current', d => d.depth === drillPath.length)
+        .property('disabled', d => d.depth === drillPath.length)
+        .attr('aria-current', d => d.depth === drillPath.length ? 'true' : null)
+        .attr('title', d => d.label)
+        .text(d => d.label.length > 16 ? d.label.slice(0, 15) + '…' : d.label)
+        .on('click', function(_, d) {
+            if (d.depth === drillPath.length) return;
+            drillPath = drillPath.slice(0, d.depth);
+            applyFilters();
+        });
+}
+
 // ===============================
-// 2. LINE CHART - Monthly Sales Trend (global or state)
+// 2. LINE CHART - Monthly Sales Trend (global or one series per state)
 // ===============================
+const lineChart = {}; // scales, brush and layers, built once by createMonthlySalesLineChart()
+
 function createMonthlySalesLineChart() {
-    console.log('LINE CHART: Rendering with state:', selectedState);
     const container = document.querySelector('#monthly-sales');
-    const margin = {top: 10, right: 20, bottom: 60, left: 50}; // increased right margin
     const baseWidth = container.clientWidth;
+    const narrow = isNarrow(baseWidth);
+    // increased right margin; narrow panels keep a row under the axis for the legend
+    const margin = {top: 10, right: 20, bottom: narrow ? 78 : 60, left: 50};
     const baseHeight = container.clientHeight - 40; // account for title
     const width = baseWidth - margin.left - margin.right;
     const height = baseHeight - margin.top - margin.bottom;
     
     const root = d3.select('#monthly-sales svg')
         .attr('width', baseWidth)
-        .attr('height', baseHeight);
+        .attr('height', baseHeight)
+        .attr('role', 'group');
     root.selectAll('*').remove();
     
     const svg = root.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    // Update title text depending on selected state
-    const titleSelection = d3.select('#monthly-sales h2');
-    if (selectedState) {
-        titleSelection.text(`Monthly Sales Trend – ${selectedState}`);
-    } else {
-        titleSelection.text('Monthly Sales Trend (All States)');
-    }
+    // The base x scale spans every month, x is the zoomed view of it
+    const baseX = d3.scaleTime().range([0, width]);
+    const x = baseX.copy();
+    const y = d3.scaleLinear().range([height, 0]);
 
-    // Filter data by selectedState if set
-    const filteredData = selectedState
-        ? data.filter(d => d.State === selectedState)
-        : data;
-    
-    // Guard: if no data for that state
-    if (!filteredData.length) {
-        svg.append('text')
+    // Zoomed lines and dots stay inside the plot (with room for the edge dots)
+    root.append('defs')
+        .append('clipPath')
+        .attr('id', 'line-clip')
+        .append('rect')
+        .attr('x', -5)
+        .attr('y', -5)
+        .attr('width', width + 10)
+        .attr('height', height + 10);
+
+    const xAxis = svg.append('g')
+        .attr('class', 'axis')
+        .attr('transform', `translate(0,${height})`);
+    const yAxis = svg.append('g')
+        .attr('class', 'axis');
+
+    // Date range brush (drawn under the line so dots keep their tooltips)
+    const brush = d3.brushX()
+        .extent([[0, 0], [width, height]])
+        .filter(brushFilter)
+        .on('end', function(event) {
+            if (!event.sourceEvent) return; // ignore programmatic moves
+            if (!event.selection) {
+                selectedDateRange = null;
+            } else {
+                // Snap to the months whose dots fall inside the selection
+                const [x0, x1] = event.selection.map(x.invert);
+                const start = d3.timeMonth.ceil(x0);
+                const end = d3.timeMonth.offset(d3.timeMonth.floor(x1), 1);
+                selectedDateRange = start < end ? [start, end] : null;
+            }
+            applyFilters();
+        });
+
+    const brushGroup = svg.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+
+    // Zoom and pan along the time axis only
+    const zoom = d3.zoom()
+        .scaleExtent([1, 24])
+        .extent([[0, 0], [width, height]])
+        .translateExtent([[0, 0], [width, height]])
+        .filter(zoomFilter)
+        .on('zoom', event => zoomLine(event.transform));
+    svg.call(zoom).on('dblclick.zoom', null);
+    d3.select('#reset-line-zoom').property('hidden', true);
+
+    const clipped = () => svg.append('g').attr('clip-path', 'url(#line-clip)');
+
+    // Layers bottom to top: forecast band, prior year, lines, forecast, dots, labels
+    Object.assign(lineChart, {
+        root,
+        plot: svg,
+        width,
+        height,
+        baseX,
+        x,
+        y,
+        xAxis,
+        yAxis,
+        brush,
+        brushGroup,
+        zoom,
+        transform: d3.zoomIdentity,
+        shapes: {}, // path class → shape, redrawn from the live x scale while zooming
+        bandLayer: clipped(),
+        ghostLayer: clipped(),
+        lineLayer: clipped(),
+        forecastLayer: clipped(),
+        dotLayer: clipped(),
+        labelLayer: svg.append('g'),
+        narrow,
+        legend: svg.append('g')
+            .attr('class', 'line-legend')
+            .attr('transform', narrow ? `translate(0, ${height + 64})` : 'translate(8, 4)'),
+        message: svg.append('text')
             .attr('x', width / 2)
             .attr('y', height / 2)
             .attr('text-anchor', 'middle')
             .style('fill', '#aaa')
-            .text('No data for this selection');
-        return;
+    });
+}
+
+function updateMonthlySalesLineChart() {
+    console.log('LINE CHART: Updating with states:', Array.from(selectedStates));
+    const { width, baseX, x, y, narrow } = lineChart;
+    const t = chartTransition();
+
+    // Update title text depending on metric, selected states and date range
+    const metric = currentMetric();
+    const titleSelection = d3.select('#monthly-sales h2');
+    let title = selectedStates.size
+        ? `Monthly ${metric.label} Trend – ${formatStateList()}`
+        : `Monthly ${metric.label} Trend (All States)`;
+    if (selectedCities.size) {
+        title += ` · ${Array.from(selectedCities, key => key.split(', ')[0]).join(', ')}`;
+    }
+    if (drillPath.length) {
+        title += ` · ${drillPath[drillPath.length - 1]}`;
+    } else if (selectedCategories.size) {
+        title += ` · ${Array.from(selectedCategories).join(', ')}`;
     }
+    if (selectedRfmSegments.size) {
+        title += ` · ${Array.from(selectedRfmSegments).join(', ')}`;
+    }
+    if (selectedCustomers.size) {
+        const customer = selectedCustomers.size === 1 &&
+            data.find(d => selectedCustomers.has(d['Customer ID']));
+        title += customer ? ` · ${customer['Customer Name']}` : ` · ${selectedCustomers.size} customers`;
+    }
+    if (selectedDateRange) {
+        title += ` · ${formatDateRange(selectedDateRange)}`;
+    }
+    titleSelection.text(title);
+    lineChart.root.attr('aria-label', `Line chart: ${title}`);
+    d3.select('#clear-date-range').property('hidden', !selectedDateRange);
+    d3.select('#forecast-horizon').property('value', forecastHorizon);
 
-    // Aggregate sales by month
-    const monthlyData = d3.rollup(
-        filteredData,
-        v => d3.sum(v, d => d.Sales),
-        d => d3.timeMonth(d.OrderDate)
-    );
+    // Every filter but the date range (the brush and the forecast need the full timeline)
+    const filteredData = filterData(['dateRange']);
     
-    const chartData = Array.from(monthlyData, ([date, sales]) => ({
-        date,
-        sales
-    })).sort((a, b) => a.date - b.date);
-    
-    // Scales
-    const x = d3.scaleTime()
-        .domain(d3.extent(chartData, d => d.date))
-        .range([0, width]);
+    // Guard: if no data for those states
+    lineChart.message.text(filteredData.length ? '' : 'No data for this selection');
+
+    // Aggregate by month, one series per selected state (or one overall)
+    const monthlyRollup = rows => Array.from(
+        d3.rollup(rows, metric.value, d => d.Month),
+        ([date, value]) => ({ date, value })
+    ).sort((a, b) => a.date - b.date);
+
+    const byState = d3.group(filteredData, d => d.State);
+    const series = (selectedStates.size
+        ? Array.from(selectedStates, state => ({
+            key: state,
+            values: monthlyRollup(byState.get(state) || [])
+        }))
+        : [{ key: 'All States', values: monthlyRollup(filteredData) }]
+    ).filter(s => s.values.length);
+
+    // Orders brushed in the scatter get their own series
+    const selectedRows = getScatterSelection();
+    if (selectedRows && selectedRows.length) {
+        series.push({ key: scatterSelection.label, values: monthlyRollup(selectedRows), selection: true });
+    }
+
+    // Comparison: each series' previous period drawn under it, shifted forward by
+    // the comparison's gap (12 months, or the selected span in period mode)
+    const periods = comparisonPeriods();
+    const compareOffset = d3.timeMonth.count(periods.previous[0], periods.current[0]);
+    const compareLabel = compareOffset === 12 ? 'a year earlier'
+        : compareOffset === 1 ? 'previous month' : `${compareOffset} months earlier`;
+    const lastDate = d3.max(series, s => d3.max(s.values, v => v.date));
+    const ghosts = !compareMode ? [] : series.filter(s => !s.selection).map(s => ({
+        key: s.key,
+        values: s.values
+            .map(v => ({ date: d3.timeMonth.offset(v.date, compareOffset), value: v.value }))
+            .filter(v => v.date <= lastDate)
+    })).filter(s => s.values.length);
+
+    // Tooltip deltas: the same month one gap earlier, i.e. what the ghost shows
+    const valueByMonth = new Map(series.map(s => [s.key, new Map(s.values.map(v => [+v.date, v.value]))]));
+    const monthChange = d => periodChange(metric, d.value,
+        valueByMonth.get(d.key).get(+d3.timeMonth.offset(d.date, -compareOffset)));
+
+    // Optional forecast past the last month, per series (filters already applied)
+    const forecasts = !forecastHorizon ? [] : series
+        .filter(s => !s.selection)
+        .map(s => forecastSeries(s, metric, forecastHorizon))
+        .filter(Boolean);
+    const forecastPoints = forecasts.flatMap(f => f.points);
+
+    const allPoints = series.flatMap(s => s.values);
     
-    const y = d3.scaleLinear()
-        .domain([0, d3.max(chartData, d => d.sales)])
-        .nice()
-        .range([height, 0]);
+    // Scales (the previous domain stays put while there is nothing to show)
+    if (allPoints.length) {
+        baseX.domain(d3.extent([...allPoints, ...forecastPoints], d => d.date));
+        x.domain(lineChart.transform.rescaleX(baseX).domain());
+        y.domain(d3.extent([
+            0,
+            ...allPoints.map(d => d.value),
+            ...ghosts.flatMap(s => s.values.map(v => v.value)),
+            ...forecastPoints.flatMap(d => [d.lo, d.hi])
+        ])).nice();
+    }
     
     // Axes
-    svg.append('g')
-        .attr('class', 'axis')
-        .attr('transform', `translate(0,${height})`)
-        .call(d3.axisBottom(x).ticks(5))
-        .selectAll('text')
-        .attr('transform', 'rotate(-45)')
-        .style('text-anchor', 'end')
-        .attr('dx', '-0.5em')
-        .attr('dy', '0.5em');
+    lineChart.xAxis.attr('opacity', allPoints.length ? 1 : 0);
+    drawLineXAxis(t);
     
-    svg.append('g')
-        .attr('class', 'axis')
-        .call(d3.axisLeft(y).ticks(4).tickFormat(d => '$' + d3.format('.2s')(d)));
+    lineChart.yAxis
+        .attr('opacity', allPoints.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y).ticks(narrow ? 3 : 4).tickFormat(metric.tickFormat));
     
-    // Line color - uniform red
-    const lineColor = '#dc2626';
+    // Line color - uniform red for a single series, state palette for several
+    const stateColor = stateColorScale();
+    const dataSeries = series.filter(s => !s.selection);
+    const lineColor = key => {
+        if (scatterSelection && key === scatterSelection.label) return SELECTION_COLOR;
+        return dataSeries.length > 1 ? stateColor(key) : '#dc2626';
+    };
+
+    moveLineBrush(allPoints.length > 0);
+
+    const inRange = d => !selectedDateRange ||
+        (d.date >= selectedDateRange[0] && d.date < selectedDateRange[1]);
+    lineChart.dotOpacity = d => inRange(d) ? 1 : 0.35;
     
     const line = d3.line()
         .x(d => x(d.date))
-        .y(d => y(d.sales))
+        .y(d => y(d.value))
         .curve(d3.curveMonotoneX);
     
-    svg.append('path')
-        .datum(chartData)
-        .attr('class', 'line-path')
-        .attr('d', line)
-        .attr('fill', 'none')
-        .attr('stroke', lineColor)
-        .attr('stroke-width', 3);
-    
-    // Dots
-    svg.selectAll('.line-dot')
-        .data(chartData)
-        .join('circle')
-        .attr('class', 'line-dot')
-        .attr('cx', d => x(d.date))
-        .attr('cy', d => y(d.sales))
-        .attr('r', 3)
-        .attr('fill', '#7f1d1d')
-        .attr('stroke', 'white')
+    const band = d3.area()
+        .x(d => x(d.date))
+        .y0(d => y(d.lo))
+        .y1(d => y(d.hi))
+        .curve(d3.curveMonotoneX);
+
+    // One path per series key: new ones fade in, the rest morph to their new shape
+    const joinPaths = (layer, className, rows, shape) => {
+        lineChart.shapes[className] = shape;
+        return layer.selectAll(`.${className}`)
+            .data(rows, s => s.key)
+            .join(
+                enter => enter.append('path')
+                    .attr('class', className)
+                    .attr('d', shape)
+                    .attr('opacity', 0),
+                update => update,
+                exit => exit.classed('exiting', true).transition(t).attr('opacity', 0).remove()
+            )
+            .classed('exiting', false)
+            .style('pointer-events', 'none')
+            .call(path => path.transition(t)
+                .attr('d', shape)
+                .attr('opacity', 1));
+    };
+
+    joinPaths(lineChart.bandLayer, 'forecast-band', forecasts,
+        f => band([{ ...f.anchor, lo: f.anchor.value, hi: f.anchor.value }, ...f.points]))
+        .attr('fill', f => lineColor(f.key))
+        .attr('fill-opacity', 0.15);
+
+    joinPaths(lineChart.ghostLayer, 'ghost-path', ghosts, s => line(s.values))
+        .attr('fill', 'none')
+        .attr('stroke', s => lineColor(s.key))
+        .attr('stroke-width', 1.5)
+        .attr('stroke-opacity', 0.4)
+        .attr('stroke-dasharray', '2,3');
+
+    joinPaths(lineChart.lineLayer, 'line-path', series, s => line(s.values))
+        .attr('fill', 'none')
+        .attr('stroke', s => lineColor(s.key))
+        .attr('stroke-width', series.length > 1 ? 2 : 3)
+        .attr('stroke-dasharray', s => s.selection ? '4,3' : null);
+    
+    // Forecast (dashed, continuing from the last month) and the backtest over the holdout (dotted)
+    joinPaths(lineChart.forecastLayer, 'forecast-path', forecasts, f => line([f.anchor, ...f.points]))
+        .attr('fill', 'none')
+        .attr('stroke', f => lineColor(f.key))
         .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '6,3');
+
+    joinPaths(lineChart.forecastLayer, 'backtest-path', forecasts.filter(f => f.backtest),
+        f => line([f.backtest.anchor, ...f.backtest.points]))
+        .attr('fill', 'none')
+        .attr('stroke', '#9ca3af')
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '1,3');
+
+    // Dots appear and disappear in place, the rest slide to their new position
+    const joinDots = (className, rows, radius) => lineChart.dotLayer.selectAll(`.${className}`)
+        .data(rows, d => `${d.key}|${+d.date}`)
+        .join(
+            enter => enter.append('circle')
+                .attr('class', className)
+                .attr('cx', d => x(d.date))
+                .attr('cy', d => y(d.value))
+                .attr('r', radius)
+                .attr('opacity', 0),
+            update => update,
+            exit => exit
+                .classed('exiting', true)
+                .style('pointer-events', 'none')
+                .transition(t)
+                .attr('opacity', 0)
+                .remove()
+        )
+        .classed('exiting', false)
+        .style('pointer-events', null);
+
+    joinDots('forecast-dot', forecasts.flatMap(f => f.points.map(p => ({ ...p, key: f.key }))), 2.5)
+        .attr('fill', '#0f1219')
+        .attr('stroke', d => lineColor(d.key))
+        .on('mouseover', function(event, d) {
+            d3.select(this).attr('r', 4);
+            showTooltip(event, `
+                <strong>${d3.timeFormat('%B %Y')(d.date)} (forecast)</strong><br>
+                ${selectedStates.size ? `${escapeHtml(d.key)}<br>` : ''}
+                ${metric.label}: ${metric.format(d.value)}<br>
+                95% interval: ${metric.format(d.lo)} – ${metric.format(d.hi)}
+            `);
+        })
+        .on('mouseout', function() {
+            d3.select(this).attr('r', 2.5);
+            hideTooltip();
+        })
+        .transition(t)
+        .attr('cx', d => x(d.date))
+        .attr('cy', d => y(d.value))
+        .attr('opacity', 1);
+
+    // Backtest error per series, top right
+    const labels = forecasts.filter(f => f.backtest).map(f => ({
+        key: f.key,
+        text: `${forecasts.length > 1 ? `${f.key}: ` : ''}backtest MAPE ` +
+            `${f.backtest.mape === null ? 'n/a' : d3.format('.1%')(f.backtest.mape)} (last ${forecastHorizon} mo)`
+    }));
+    if (forecastHorizon && !forecasts.length) {
+        labels.push({ key: 'too-short', text: `Forecast needs ${2 * FORECAST_SEASON + 1}+ months of data` });
+    }
+
+    lineChart.labelLayer.selectAll('.backtest-label')
+        .data(labels, d => d.key)
+        .join('text')
+        .attr('class', 'backtest-label')
+        .attr('x', width)
+        .attr('y', (_, i) => 8 + i * 11)
+        .attr('text-anchor', 'end')
+        .style('font-size', '9px')
+        .style('fill', '#aaa')
+        .text(d => d.text);
+
+    // Dots: click (or Enter) narrows the date range to that month, again to clear it
+    const dots = joinDots('line-dot', series.flatMap(s => s.values.map(v => ({ ...v, key: s.key, selection: s.selection }))), 3)
+        .attr('fill', d => series.length > 1 ? d3.color(lineColor(d.key)).darker(1) : '#7f1d1d')
+        .attr('stroke', 'white')
+        .attr('stroke-width', series.length > 1 ? 1 : 2)
+        .style('cursor', 'pointer')
         .on('mouseover', function(event, d) {
             d3.select(this).attr('r', 5);
             showTooltip(event, `
                 <strong>${d3.timeFormat('%B %Y')(d.date)}</strong><br>
-                Sales: $${d3.format(',.0f')(d.sales)}
+                ${selectedStates.size || d.selection ? `${escapeHtml(d.key)}<br>` : ''}
+                ${metric.label}: ${metric.format(d.value)}
+                ${compareMode && !d.selection
+                    ? `<br>Δ vs ${compareLabel}: ${formatChange(metric, monthChange(d))}`
+                    : ''}
             `);
         })
         .on('mouseout', function() {
             d3.select(this).attr('r', 3);
             hideTooltip();
+        })
+        .on('click', function(event, d) {
+            const month = [d.date, d3.timeMonth.offset(d.date, 1)];
+            const isMonth = selectedDateRange &&
+                +selectedDateRange[0] === +month[0] && +selectedDateRange[1] === +month[1];
+            selectedDateRange = isMonth ? null : month;
+            hideTooltip();
+            applyFilters();
         });
+
+    dots.transition(t)
+        .attr('cx', d => x(d.date))
+        .attr('cy', d => y(d.value))
+        .attr('opacity', lineChart.dotOpacity);
+
+    const formatMonth = d3.timeFormat('%B %Y');
+    makeFocusable(dots, {
+        name: 'line-dots',
+        key: d => `${d.key}|${+d.date}`,
+        label: d => `${formatMonth(d.date)}${series.length > 1 ? `, ${d.key}` : ''}: ${metric.label} ${metric.format(d.value)}`,
+        pressed: d => !!selectedDateRange && +selectedDateRange[0] === +d.date &&
+            d3.timeMonth.count(...selectedDateRange) === 1
+    });
+
+    // Series legend when comparing states or periods, or forecasting
+    const legendItems = series.length > 1 || ghosts.length || forecasts.length
+        ? series.map(s => ({ label: s.key, color: lineColor(s.key), opacity: 1 }))
+        : [];
+    if (ghosts.length) {
+        legendItems.push({ label: compareOffset === 12 ? 'Prior year' : 'Previous period', color: '#9ca3af', opacity: 0.6 });
+    }
+    if (forecasts.length) {
+        legendItems.push({ label: 'Forecast (95% band)', color: '#9ca3af', opacity: 0.6 });
+    }
+    // Stacked in the corner, or in one row below the plot on narrow panels
+    let legendX = 0;
+    legendItems.forEach((item, i) => {
+        item.position = narrow ? [legendX, 0] : [0, i * 12];
+        legendX += 22 + item.label.length * 5;
+    });
+
+    lineChart.legend.selectAll('.legend-item')
+        .data(legendItems, d => d.label)
+        .join(enter => {
+            const g = enter.append('g')
+                .attr('class', 'legend-item');
+
+            g.append('rect')
+                .attr('width', 10)
+                .attr('height', 3)
+                .attr('y', -2);
+
+            g.append('text')
+                .attr('x', 14)
+                .attr('y', 2)
+                .style('font-size', '9px')
+                .style('fill', '#aaa')
+                .text(d => d.label);
+            return g;
+        })
+        .attr('transform', d => `translate(${d.position})`)
+        .select('rect')
+        .attr('fill', d => d.color)
+        .attr('opacity', d => d.opacity);
+
+    // Table: one row per month, one column per series (forecast months included)
+    const months = Array.from(new Set([...allPoints, ...forecastPoints].map(d => +d.date))).sort(d3.ascending);
+    const forecastByKey = new Map(forecasts.map(f => [f.key, new Map(f.points.map(p => [+p.date, p]))]));
+    updateDataTable('#monthly-sales svg', title, [
+        { label: 'Month', value: time => formatMonth(new Date(time)) },
+        ...series.map(s => ({
+            label: s.key,
+            value: time => {
+                const forecast = forecastByKey.has(s.key) && forecastByKey.get(s.key).get(time);
+                if (forecast) return `${metric.format(forecast.value)} (forecast)`;
+                const value = valueByMonth.get(s.key).get(time);
+                return value === undefined ? '–' : metric.format(value);
+            }
+        }))
+    ], months);
     
     console.log('LINE CHART: Complete!');
 }
 
+// ===============================
+// Forecast for the monthly trend - additive Holt-Winters with yearly seasonality,
+// smoothing parameters picked by grid search, backtested on a holdout
+// ===============================
+const FORECAST_SEASON = 12;   // months per seasonal cycle
+const FORECAST_HORIZONS = [6, 12]; // options in the line chart header
+const FORECAST_GRID = {
+    alpha: [0.1, 0.3, 0.5, 0.7, 0.9],
+    beta: [0.01, 0.05, 0.15, 0.3],
+    gamma: [0.1, 0.3, 0.5, 0.7, 0.9]
+};
+
+// Runs the smoother over `values`; level/trend/season start from the first two seasons
+function holtWinters(values, { alpha, beta, gamma }) {
+    const m = FORECAST_SEASON;
+    const firstMean = d3.mean(values.slice(0, m));
+    let level = firstMean;
+    let trend = (d3.mean(values.slice(m, 2 * m)) - firstMean) / m;
+    const season = values.slice(0, m).map(v => v - firstMean);
+    const errors = [];
+
+    for (let t = m; t < values.length; t++) {
+        const s = season[t % m];
+        errors.push(values[t] - (level + trend + s)); // one-step-ahead error
+        const previousLevel = level;
+        level = alpha * (values[t] - s) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        season[t % m] = gamma * (values[t] - level) + (1 - gamma) * s;
+    }
+
+    return { alpha, beta, gamma, level, trend, season, n: values.length, errors };
+}
+
+// Best parameters by one-step squared error; null with fewer than two full seasons
+function fitHoltWinters(values) {
+    if (values.length < 2 * FORECAST_SEASON + 1) return null;
+
+    let best = null;
+    FORECAST_GRID.alpha.forEach(alpha => FORECAST_GRID.beta.forEach(beta => FORECAST_GRID.gamma.forEach(gamma => {
+        const model = holtWinters(values, { alpha, beta, gamma });
+        model.sse = d3.sum(model.errors, e => e * e);
+        if (!best || model.sse < best.sse) best = model;
+    })));
+    best.sigma = Math.sqrt(best.sse / best.errors.length);
+    return best;
+}
+
+// h-step forecasts with a 95% interval (additive Holt-Winters prediction variance)
+function holtWintersForecast(model, horizon) {
+    const { alpha, beta, gamma, level, trend, season, n, sigma } = model;
+    let varianceSum = 0;
+    return d3.range(1, horizon + 1).map(h => {
+        if (h > 1) {
+            const j = h - 1;
+            const c = alpha * (1 + j * beta) + (j % FORECAST_SEASON === 0 ? gamma : 0);
+            varianceSum += c * c;
+        }
+        const value = level + h * trend + season[(n + h - 1) % FORECAST_SEASON];
+        const spread = 1.96 * sigma * Math.sqrt(1 + varianceSum);
+        return { value, lo: value - spread, hi: value + spread };
+    });
+}
+
+// Forecast one trend series `horizon` months ahead, plus a backtest that refits
+// without the last `horizon` months and scores those months (MAPE)
+function forecastSeries(series, metric, horizon) {
+    // Contiguous months: gaps mean no orders (0), ratios carry the last value
+    const byMonth = new Map(series.values.map(v => [+v.date, v.value]));
+    const months = d3.timeMonth.range(series.values[0].date,
+        d3.timeMonth.offset(series.values[series.values.length - 1].date, 1));
+    let carried = 0;
+    const values = months.map(date => {
+        if (byMonth.has(+date)) carried = byMonth.get(+date);
+        else if (metric.additive) return 0;
+        return carried;
+    });
+
+    const model = fitHoltWinters(values);
+    if (!model) return null;
+
+    // Non-negative metrics can't be forecast below zero
+    const floor = metric.diverging ? -Infinity : 0;
+    const lastDate = months[months.length - 1];
+    const toPoints = (forecast, start) => forecast.map((f, i) => ({
+        date: d3.timeMonth.offset(start, i + 1),
+        value: Math.max(floor, f.value),
+        lo: Math.max(floor, f.lo),
+        hi: Math.max(floor, f.hi)
+    }));
+
+    const result = {
+        key: series.key,
+        anchor: { date: lastDate, value: values[values.length - 1] },
+        points: toPoints(holtWintersForecast(model, horizon), lastDate),
+        backtest: null
+    };
+
+    const trainLength = values.length - horizon;
+    const backtestModel = fitHoltWinters(values.slice(0, trainLength));
+    if (backtestModel) {
+        const points = toPoints(holtWintersForecast(backtestModel, horizon), months[trainLength - 1]);
+        const errors = points
+            .map((p, i) => ({ actual: values[trainLength + i], predicted: p.value }))
+            .filter(d => d.actual !== 0)
+            .map(d => Math.abs((d.actual - d.predicted) / d.actual));
+        result.backtest = {
+            anchor: { date: months[trainLength - 1], value: values[trainLength - 1] },
+            points,
+            mape: errors.length ? d3.mean(errors) : null
+        };
+    }
+
+    return result;
+}
+
+// Time axis for the live (zoomed) domain, ticks regenerated by d3's time scale
+function drawLineXAxis(t) {
+    const { xAxis, x, narrow } = lineChart;
+    (t ? xAxis.transition(t) : xAxis.interrupt())
+        .call(d3.axisBottom(x).ticks(narrow ? 3 : 5));
+    xAxis.selectAll('text')
+        .attr('transform', 'rotate(-45)')
+        .style('text-anchor', 'end')
+        .attr('dx', '-0.5em')
+        .attr('dy', '0.5em');
+}
+
+// Keep the brush on the selected range as the x domain changes
+function moveLineBrush(hasPoints = true) {
+    const { width, x, brush, brushGroup } = lineChart;
+    brushGroup.call(brush.move, selectedDateRange && hasPoints
+        ? [Math.max(0, x(selectedDateRange[0])), Math.min(width, x(selectedDateRange[1]))]
+        : null);
+}
+
+// Redraw every mark from the live x scale, without transitions
+function zoomLine(transform) {
+    const { root, baseX, x, y } = lineChart;
+    lineChart.transform = transform;
+    x.domain(transform.rescaleX(baseX).domain());
+
+    drawLineXAxis(null);
+    root.selectAll('.exiting').interrupt().remove();
+    Object.entries(lineChart.shapes).forEach(([className, shape]) => {
+        root.selectAll(`.${className}`)
+            .interrupt()
+            .attr('d', shape)
+            .attr('opacity', 1);
+    });
+    root.selectAll('.line-dot, .forecast-dot')
+        .interrupt()
+        .attr('cx', d => x(d.date))
+        .attr('cy', d => y(d.value));
+    root.selectAll('.line-dot').attr('opacity', lineChart.dotOpacity);
+    root.selectAll('.forecast-dot').attr('opacity', 1);
+    moveLineBrush();
+    d3.select('#reset-line-zoom').property('hidden', !isZoomed(transform));
+}
+
 // ===============================
 // 3. SCATTERPLOT - Sales vs Profit (main view)
 // ===============================
+const scatterChart = {}; // scales, brush and layers, built once by createSalesVsProfitScatter()
+
+// Scale types the scatter's axes can switch between. `space` maps a value to
+// where the axis is linear: pixels are an affine map of it
+const scatterScaleTypes = {
+    linear: { label: 'Linear', scale: () => d3.scaleLinear(), space: v => v },
+    log: { label: 'Log', scale: () => d3.scaleLog().clamp(true), space: Math.log10 },
+    symlog: {
+        label: 'Symlog',
+        scale: () => d3.scaleSymlog().constant(1), // Smaller constant = more compression near zero
+        space: v => Math.sign(v) * Math.log1p(Math.abs(v))
+    }
+};
+
 function createSalesVsProfitScatter() {
-    console.log('SCATTER: Rendering with category/state:', selectedCategory, selectedState);
-    
     const container = document.querySelector('#sales-profit');
     if (!container) {
         console.error('SCATTER: #sales-profit element NOT FOUND!');
         return;
     }
     
-    const margin = {top: 30, right: 30, bottom: 60, left: 60};
     const containerWidth = container.clientWidth;
+    const narrow = isNarrow(containerWidth);
+    // Narrow panels move the legend under the axis label
+    const margin = {top: 30, right: 30, bottom: narrow ? 80 : 60, left: 60};
     const containerHeight = container.clientHeight - 30; // account for title
     const width = containerWidth - margin.left - margin.right;
     const height = containerHeight - margin.top - margin.bottom;
     
     const root = d3.select('#sales-profit svg')
         .attr('width', containerWidth)
-        .attr('height', containerHeight);
+        .attr('height', containerHeight)
+        .attr('role', 'group')
+        .attr('aria-label', 'Scatter plot: Sales vs Profit per order');
     root.selectAll('*').remove();
     
     const svg = root.append('g')
         .attr('transform', `translate(${margin.left},${margin.top})`);
-    
-    // Filter data by category and state
-    let filteredData = data;
-    if (selectedCategory) {
-        filteredData = filteredData.filter(d => d.Category === selectedCategory);
-    }
-    if (selectedState) {
-        filteredData = filteredData.filter(d => d.State === selectedState);
-    }
-    // Filter out zero/negative sales (can't plot on log scale)
-    filteredData = filteredData.filter(d => d.Sales > 0);
-    
-    if (!filteredData.length) {
-        svg.append('text')
-            .attr('x', width / 2)
-            .attr('y', height / 2)
-            .attr('text-anchor', 'middle')
-            .style('fill', '#aaa')
-            .text('No points for this selection');
-        return;
-    }
 
-    // Color scale by category
-    const color = d3.scaleOrdinal()
-        .domain(['Furniture', 'Office Supplies', 'Technology'])
-        .range(['#34a853', '#fbbc04', '#4285f4']);
-    
-    // Scales - using log for Sales, symlog for Profit (handles negatives)
-    const xMin = d3.min(filteredData, d => d.Sales);
-    const xMax = d3.max(filteredData, d => d.Sales);
-    
-    const x = d3.scaleLog()
-        .domain([Math.max(1, xMin * 0.9), xMax * 1.1])
-        .range([0, width])
-        .clamp(true);
-    
-    // Symlog scale for profit - handles negative values
-    const yMin = d3.min(filteredData, d => d.Profit);
-    const yMax = d3.max(filteredData, d => d.Profit);
-    const yAbsMax = Math.max(Math.abs(yMin), Math.abs(yMax));
-    
-    const y = d3.scaleSymlog()
-        .domain([yMin * 1.1, yMax * 1.1])
-        .range([height, 0])
-        .constant(1); // Smaller constant = more compression near zero
-    
-    // Grid lines
-    svg.append('g')
-        .attr('class', 'grid')
-        .attr('transform', `translate(0,${height})`)
-        .call(d3.axisBottom(x)
-            .tickValues([10, 100, 1000, 10000])
-            .tickSize(-height)
-            .tickFormat('')
-        );
-    
-    svg.append('g')
+    // Scales - log for Sales and symlog for Profit (handles negatives) unless
+    // switched. The base scales span the data, x and y are the zoomed view of them,
+    // unclamped so orders zoomed out of view land off the plot instead of on its edges
+    const baseX = scatterScaleTypes[scatterScales.x].scale().range([0, width]);
+    const baseY = scatterScaleTypes[scatterScales.y].scale().range([height, 0]);
+    const x = baseX.copy().clamp(false);
+    const y = baseY.copy().clamp(false);
+
+    // Grid lines and axes, ticks drawn by updateSalesVsProfitScatter()
+    const xGrid = svg.append('g')
         .attr('class', 'grid')
-        .call(d3.axisLeft(y)
-            .tickValues([-1000, -100, 0, 100, 1000, 10000])
-            .tickSize(-width)
-            .tickFormat('')
-        );
-    
-    // Axes with appropriate tick formatting for log scales
-    svg.append('g')
-        .attr('class', 'axis')
-        .attr('transform', `translate(0,${height})`)
-        .call(d3.axisBottom(x)
-            .tickValues([10, 100, 1000, 10000])
-            .tickFormat(d => '$' + d3.format('.2s')(d))
-        );
-    
-    svg.append('g')
+        .attr('transform', `translate(0,${height})`);
+    const yGrid = svg.append('g')
+        .attr('class', 'grid');
+    const xAxis = svg.append('g')
         .attr('class', 'axis')
-        .call(d3.axisLeft(y)
-            .tickValues([-1000, -100, 0, 100, 1000, 10000])
-            .tickFormat(d => '$' + d3.format('.2s')(d))
-        );
+        .attr('transform', `translate(0,${height})`);
+    const yAxis = svg.append('g')
+        .attr('class', 'axis');
     
     // Axis labels
     svg.append('text')
@@ -447,7 +1757,7 @@ function createSalesVsProfitScatter() {
         .attr('text-anchor', 'middle')
         .style('font-size', '11px')
         .style('fill', '#aaa')
-        .text('Sales - Log Scale ($)');
+        .text(`Sales - ${scatterScaleTypes[scatterScales.x].label} Scale ($)`);
 
     svg.append('text')
         .attr('transform', 'rotate(-90)')
@@ -456,58 +1766,102 @@ function createSalesVsProfitScatter() {
         .attr('text-anchor', 'middle')
         .style('font-size', '11px')
         .style('fill', '#aaa')
-        .text('Profit - Symlog Scale ($)');
+        .text(`Profit - ${scatterScaleTypes[scatterScales.y].label} Scale ($)`);
     
     // Zero line for profit (works with symlog)
-    const yDomain = y.domain();
-    if (yDomain[0] < 0 && yDomain[1] > 0) {
-        svg.append('line')
-            .attr('x1', 0)
-            .attr('x2', width)
-            .attr('y1', y(0))
-            .attr('y2', y(0))
-            .attr('stroke', '#e74c3c')
-            .attr('stroke-width', 2)
-            .attr('stroke-dasharray', '5,5');
-    }
+    const zeroLine = svg.append('line')
+        .attr('x1', 0)
+        .attr('x2', width)
+        .attr('stroke', '#e74c3c')
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '5,5')
+        .attr('opacity', 0);
     
-    // Circles
-    svg.selectAll('.scatter-circle')
-        .data(filteredData)
-        .join('circle')
-        .attr('class', 'scatter-circle')
-        .attr('cx', d => x(d.Sales))
-        .attr('cy', d => y(d.Profit))
-        .attr('r', 4)
-        .attr('fill', d => color(d.Category))
-        .attr('opacity', 0.6)
-        .attr('stroke', d => color(d.Category))
-        .attr('stroke-width', 1)
-        .on('mouseover', function(event, d) {
-            d3.select(this)
-                .attr('r', 7)
-                .attr('opacity', 1)
-                .attr('stroke-width', 2);
-            showTooltip(event, `
-                <strong>${d.Category}</strong><br>
-                ${d['Sub-Category']}<br>
-                State: ${d.State}<br>
-                Sales: $${d3.format(',.2f')(d.Sales)}<br>
-                Profit: $${d3.format(',.2f')(d.Profit)}<br>
-                Margin: ${d3.format('.1%')(d.Profit / d.Sales)}
-            `);
-        })
-        .on('mouseout', function() {
-            d3.select(this)
-                .attr('r', 4)
-                .attr('opacity', 0.6)
-                .attr('stroke-width', 1);
-            hideTooltip();
+    // 2D brush (under the circles so they keep their tooltips) selects orders by value box
+    const brush = d3.brush()
+        .extent([[0, 0], [width, height]])
+        .filter(brushFilter)
+        .on('end', function(event) {
+            if (!event.sourceEvent) return; // ignore programmatic moves
+            if (!event.selection) {
+                // A click without a drag picks the order (or density cell) under the pointer
+                const item = scatterItemAt(...d3.pointer(event.sourceEvent, svg.node()));
+                if (item) {
+                    activateScatterItem(item, event.sourceEvent.shiftKey);
+                    return;
+                }
+                scatterSelection = null;
+            } else {
+                const [[x0, y0], [x1, y1]] = event.selection;
+                scatterSelection = {
+                    label: 'Brushed orders',
+                    sales: [scatterChart.x.invert(x0), scatterChart.x.invert(x1)],
+                    profit: [scatterChart.y.invert(y1), scatterChart.y.invert(y0)]
+                };
+            }
+            applyFilters();
         });
+
+    const brushGroup = svg.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+
+    // Zoom and pan rescale both axes; the points are redrawn from the new scales
+    const zoom = d3.zoom()
+        .scaleExtent([1, 50])
+        .extent([[0, 0], [width, height]])
+        .translateExtent([[0, 0], [width, height]])
+        .filter(zoomFilter)
+        .on('zoom', event => zoomScatter(event.transform));
+    svg.call(zoom).on('dblclick.zoom', null);
+    d3.select('#reset-scatter-zoom').property('hidden', true);
+
+    // Orders are painted on a canvas under the svg (one DOM node per order is too
+    // many); hover and clicks find them through a quadtree, see drawScatter()
+    const canvas = d3.select(container).selectAll('canvas.scatter-canvas')
+        .data([null])
+        .join(enter => enter.insert('canvas', 'svg').attr('class', 'scatter-canvas'));
+    const svgBox = root.node().getBoundingClientRect();
+    const containerBox = container.getBoundingClientRect();
+    const ratio = window.devicePixelRatio || 1;
+    canvas
+        .attr('width', Math.max(0, width) * ratio)
+        .attr('height', Math.max(0, height) * ratio)
+        .style('width', `${Math.max(0, width)}px`)
+        .style('height', `${Math.max(0, height)}px`)
+        .style('left', `${svgBox.left - containerBox.left - container.clientLeft + margin.left}px`)
+        .style('top', `${svgBox.top - containerBox.top - container.clientTop + margin.top}px`);
+    const context = canvas.node().getContext('2d');
+    context.scale(ratio, ratio);
+
+    // Ring around the hovered order; also the chart's single tab stop, arrow keys
+    // move it from order to order (or cell to cell in density mode)
+    const focusRing = svg.append('path')
+        .attr('class', 'scatter-focus')
+        .attr('tabindex', 0)
+        .attr('role', 'button')
+        .attr('aria-label', 'Orders: use the arrow keys to move between them')
+        .attr('opacity', 0)
+        .style('pointer-events', 'none')
+        .on('focus', () => {
+            const items = scatterKeyboardOrder();
+            const item = items.find(i => scatterItemKey(i) === scatterChart.focusKey) || items[0];
+            focusScatterItem(item);
+        })
+        .on('blur', () => highlightScatterItem(null))
+        .on('keydown', scatterKeydown);
+
+    svg
+        .on('mousemove.hover', event => {
+            highlightScatterItem(scatterItemAt(...d3.pointer(event, svg.node())), event);
+        })
+        .on('mouseleave.hover', () => highlightScatterItem(null));
     
     // Legend (above chart, horizontal layout with even spacing)
     const legend = svg.append('g')
-        .attr('transform', `translate(${width / 2 - 135}, -15)`);
+        .attr('transform', narrow
+            ? `translate(${width / 2 - 135}, ${height + 70})`
+            : `translate(${width / 2 - 135}, -15)`);
 
     const categories = ['Technology', 'Furniture', 'Office Supplies'];
     const legendPositions = [0, 95, 180]; // Adjusted for new order
@@ -517,7 +1871,7 @@ function createSalesVsProfitScatter() {
 
         g.append('circle')
             .attr('r', 5)
-            .attr('fill', color(cat))
+            .attr('fill', categoryColor(cat))
             .attr('opacity', 0.6);
 
         g.append('text')
@@ -528,193 +1882,4167 @@ function createSalesVsProfitScatter() {
             .text(cat);
     });
     
+    const selectionLabel = svg.append('text')
+        .attr('x', width)
+        .attr('y', -15)
+        .attr('text-anchor', 'end')
+        .style('font-size', '11px')
+        .style('fill', SELECTION_COLOR);
+
+    // What the hexagon shading means in density mode, and orders a log axis can't show
+    const noteLabel = svg.append('text')
+        .attr('x', 0)
+        .attr('y', -15)
+        .style('font-size', '11px')
+        .style('fill', '#aaa');
+
+    const message = svg.append('text')
+        .attr('x', width / 2)
+        .attr('y', height / 2)
+        .attr('text-anchor', 'middle')
+        .style('fill', '#aaa');
+
+    Object.assign(scatterChart, {
+        width, height, x, y, xGrid, yGrid, xAxis, yAxis, zeroLine,
+        plot: svg, baseX, baseY, brush, brushGroup, zoom, transform: d3.zoomIdentity,
+        scaleKey: `${scatterScales.x},${scatterScales.y}`,
+        canvas, context, focusRing, selectionLabel, noteLabel, message,
+        marks: scatterChart.marks || [], // kept across re-layouts so points still glide
+        bins: [],
+        quadtree: null,
+        progress: 1,
+        tickCount: narrow ? 3 : 6 // fewer ticks on narrow panels so the labels don't collide
+    });
+}
+
+function updateSalesVsProfitScatter() {
+    console.log('SCATTER: Updating with categories/states:',
+        Array.from(selectedCategories), Array.from(selectedStates));
+    // Switching an axis scale rebuilds the chart around the new scales
+    if (scatterChart.scaleKey !== `${scatterScales.x},${scatterScales.y}`) {
+        createSalesVsProfitScatter();
+    }
+    const { baseX, baseY } = scatterChart;
+    const t = chartTransition();
+
+    d3.select('#clear-scatter-selection').property('hidden', !scatterSelection);
+    d3.select('#scatter-x-scale').property('value', scatterScales.x);
+    d3.select('#scatter-y-scale').property('value', scatterScales.y);
+    
+    // Filter data by category, state and date range
+    let filteredData = filterData();
+    // Filter out zero/negative sales (nothing to plot), and losses on a log profit axis
+    filteredData = filteredData.filter(d => d.Sales > 0);
+    const hidden = scatterScales.y === 'log' ? filteredData.filter(d => d.Profit <= 0).length : 0;
+    if (hidden) filteredData = filteredData.filter(d => d.Profit > 0);
+    scatterChart.hiddenNote = hidden
+        ? `${d3.format(',')(hidden)} orders with no profit are off the log axis`
+        : '';
+    
+    scatterChart.message.text(filteredData.length ? '' : 'No points for this selection');
+
+    // Domains follow the points (the previous ones stay put while there are none)
+    if (filteredData.length) {
+        baseX.domain(scatterDomain(filteredData.map(d => d.Sales), scatterScales.x));
+        baseY.domain(scatterDomain(filteredData.map(d => d.Profit), scatterScales.y));
+    }
+    applyScatterZoom();
+    drawScatterAxes(t);
+
+    const selectedRows = getScatterSelection();
+    const selectedSet = new Set(selectedRows || []);
+    moveScatterBrush(filteredData.length > 0);
+    const pointOpacity = d => !selectedRows ? 0.6 : selectedSet.has(d) ? 0.9 : 0.08;
+
+    // Marks keyed by order line so surviving points glide to their new position;
+    // new ones fade in where they belong and removed ones fade out where they were
+    const previous = new Map(scatterChart.marks
+        .filter(m => !m.exiting)
+        .map(m => [m.d['Row ID'], m]));
+    const marks = filteredData.map(d => {
+        const before = previous.get(d['Row ID']);
+        previous.delete(d['Row ID']);
+        return {
+            d,
+            from: before ? [before.x, before.y] : null,
+            fromOpacity: before ? before.opacity : 0,
+            targetOpacity: pointOpacity(d),
+            selected: selectedSet.has(d)
+        };
+    });
+    previous.forEach(m => marks.push({
+        ...m,
+        from: [m.x, m.y],
+        fromOpacity: m.opacity,
+        targetOpacity: 0,
+        exiting: true
+    }));
+    Object.assign(scatterChart, { marks, hasSelection: !!selectedRows });
+
+    d3.select('#toggle-scatter-density').classed('active', scatterMode === 'density');
+    animateScatter(t.duration());
+
+    scatterChart.selectionLabel.text(selectedRows
+        ? `${scatterSelection.label}: ${d3.format(',')(selectedRows.length)} orders`
+        : '');
+
+    // Table: a per-category summary, one row per order would be unusable
+    const summary = d3.groups(filteredData, d => d.Category).map(([category, rows]) => ({
+        category,
+        orders: rows.length,
+        losses: rows.filter(d => d.Profit < 0).length,
+        sales: d3.sum(rows, d => d.Sales),
+        profit: d3.sum(rows, d => d.Profit),
+        selected: rows.filter(d => selectedSet.has(d)).length
+    }));
+    updateDataTable('#sales-profit svg', 'Sales vs Profit by category', [
+        { label: 'Category', value: d => d.category },
+        { label: 'Order lines', value: d => d3.format(',')(d.orders) },
+        { label: 'Loss-making', value: d => d3.format(',')(d.losses) },
+        { label: 'Sales', value: d => formatCurrency(d.sales) },
+        { label: 'Profit', value: d => formatCurrency(d.profit) },
+        ...(selectedRows ? [{ label: scatterSelection.label, value: d => d3.format(',')(d.selected) }] : [])
+    ], summary);
+    
     console.log('SCATTER: Complete!');
 }
 
-// ===============================
-// 4. Regional Sales Choropleth Map (USA)
-// drives state selection
-// ===============================
-function regionalSalesMap(data) {
-    console.log('REGIONAL MAP: Starting...');
+// Padded extent of an axis' values; linear and symlog axes always include zero
+function scatterDomain(values, type) {
+    const [min, max] = d3.extent(values);
+    return type === 'log'
+        ? [min * 0.9, max * 1.1]
+        : [Math.min(0, min * 1.1), Math.max(0, max * 1.1)];
+}
 
-    const container = document.querySelector('#regional-sales');
-    const svg = d3.select('#regional-sales svg');
+// Tick values for the live (zoomed) domain: powers of ten on log and symlog
+// axes while they span enough of them, otherwise ordinary linear ticks
+function scatterTicks(scale, type, count) {
+    const [lo, hi] = d3.extent(scale.domain());
+    if (type !== 'linear' && hi > 0) {
+        const top = Math.floor(Math.log10(Math.max(Math.abs(lo), Math.abs(hi))));
+        const bottom = type === 'log' ? Math.max(0, Math.ceil(Math.log10(lo))) : 1; // whole dollars
+        const exponents = d3.range(top, bottom - 1, -1);
+        // Symlog repeats each power below zero, so it has room for half as many
+        const step = Math.ceil(exponents.length * (type === 'log' ? 1 : 2) / count) || 1;
+        const powers = exponents.filter((_, i) => i % step === 0).map(e => 10 ** e);
+        const ticks = (type === 'log' ? powers : [...powers.map(p => -p), 0, ...powers])
+            .filter(d => d >= lo && d <= hi)
+            .sort(d3.ascending);
+        if (ticks.length >= 3) return ticks;
+    }
+    return d3.ticks(lo, hi, count);
+}
 
-    const containerWidth = container ? container.clientWidth : 400;
-    const containerHeight = container ? container.clientHeight - 40 : 300; // account for title
-    const width = containerWidth - 20;
-    const height = containerHeight - 10;
+// Point the live scales at the zoomed part of the base domains
+function applyScatterZoom() {
+    const { baseX, baseY, x, y, transform } = scatterChart;
+    x.domain(transform.rescaleX(baseX).domain());
+    y.domain(transform.rescaleY(baseY).domain());
+}
 
-    svg.attr('width', containerWidth).attr('height', containerHeight);
-    svg.selectAll('*').remove();
+// Grid, axes and the zero line for the live domains; animated with a
+// transition, immediately (while zooming) without one
+function drawScatterAxes(t) {
+    const { width, height, x, y, tickCount } = scatterChart;
+    const animate = selection => t ? selection.transition(t) : selection.interrupt();
+    const xTicks = scatterTicks(x, scatterScales.x, tickCount);
+    const yTicks = scatterTicks(y, scatterScales.y, tickCount);
 
-    d3.json('https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json')
-        .then(us => {
-            const geo = topojson.feature(us, us.objects.states);
+    animate(scatterChart.xGrid)
+        .call(d3.axisBottom(x).tickValues(xTicks).tickSize(-height).tickFormat(''));
+    animate(scatterChart.yGrid)
+        .call(d3.axisLeft(y).tickValues(yTicks).tickSize(-width).tickFormat(''));
+    animate(scatterChart.xAxis)
+        .call(d3.axisBottom(x).tickValues(xTicks).tickFormat(formatCurrencyShort));
+    animate(scatterChart.yAxis)
+        .call(d3.axisLeft(y).tickValues(yTicks).tickFormat(formatCurrencyShort));
 
-            // Aggregate sales by state
-            const salesByState = d3.rollup(
-                data,
-                v => d3.sum(v, d => d.Sales),
-                d => d.State
-            );
+    const [yLow, yHigh] = y.domain();
+    const showZero = yLow < 0 && yHigh > 0;
+    animate(scatterChart.zeroLine)
+        .attr('y1', showZero ? y(0) : height)
+        .attr('y2', showZero ? y(0) : height)
+        .attr('opacity', showZero ? 1 : 0);
+}
 
-            // Get min/max for color scale
-            const salesValues = Array.from(salesByState.values());
-            const maxSales = d3.max(salesValues) || 1;
+// Keep the brush on the selected value box as the scales change
+function moveScatterBrush(hasPoints = scatterChart.marks.length > 0) {
+    const { width, height, x, y, brush, brushGroup } = scatterChart;
+    if (!scatterSelection || !hasPoints) {
+        brushGroup.call(brush.move, null);
+        return;
+    }
+    // Presets use open bounds, so clamp the box to the plot
+    const clampX = v => Math.max(0, Math.min(width, x(v)));
+    const clampY = v => Math.max(0, Math.min(height, y(v)));
+    const { sales, profit } = scatterSelection;
+    brushGroup.call(brush.move, [
+        [clampX(Math.max(sales[0], x.domain()[0])), clampY(Math.min(profit[1], y.domain()[1]))],
+        [clampX(Math.min(sales[1], x.domain()[1])), clampY(Math.max(profit[0], y.domain()[0]))]
+    ]);
+}
 
-            // Color scale - pow scale (sqrt) for better differentiation at lower values
-            const colorScale = d3.scalePow()
-                .exponent(0.5)
-                .domain([0, maxSales])
-                .range(['#ffffff', '#dc2626'])
-                .interpolate(d3.interpolateRgb);
+function zoomScatter(transform) {
+    scatterChart.transform = transform;
+    applyScatterZoom();
+    drawScatterAxes(null);
+    moveScatterBrush();
+    highlightScatterItem(null);
+    drawScatter();
+    d3.select('#reset-scatter-zoom').property('hidden', !isZoomed(transform));
+}
 
-            const projection = d3.geoAlbersUsa().fitSize([width, height], geo);
-            const path = d3.geoPath(projection);
+// Scatter canvas - points (or density hexagons) are painted, not joined, so a
+// redraw is cheap enough to run every animation frame
+const SCATTER_RADIUS = 4;
+const SCATTER_HOVER_RADIUS = 7;
+const HEX_RADIUS = 9; // px, density cells
 
-            const fmt = d3.format(',.0f');
+// Tween every mark from where it was drawn to its new position and opacity
+function animateScatter(duration) {
+    if (scatterChart.timer) scatterChart.timer.stop();
+    const finish = () => {
+        scatterChart.marks = scatterChart.marks.filter(m => !m.exiting);
+        scatterChart.marks.forEach(m => { m.from = null; m.fromOpacity = m.targetOpacity; });
+        scatterChart.progress = 1;
+        drawScatter();
+        // Keyboard users keep their order (or the first one) after the redraw
+        if (document.activeElement === scatterChart.focusRing.node()) {
+            const items = scatterKeyboardOrder();
+            focusScatterItem(items.find(i => scatterItemKey(i) === scatterChart.focusKey) || items[0]);
+        }
+    };
 
-            // Draw states as choropleth
-            svg.append('g')
-                .attr('class', 'states')
-                .selectAll('path')
-                .data(geo.features)
-                .join('path')
-                .attr('class', 'state-path')
-                .attr('d', path)
-                .style('fill', d => {
-                    const stateName = d.properties.name;
-                    const sales = salesByState.get(stateName) || 0;
-                    return sales > 0 ? colorScale(sales) : '#e5e5e5';
-                })
-                .style('stroke', d => {
-                    const stateName = d.properties.name;
-                    return selectedState === stateName ? '#facc15' : '#888';
-                })
-                .style('stroke-width', d => {
-                    const stateName = d.properties.name;
-                    return selectedState === stateName ? 2.5 : 0.5;
-                })
-                .style('cursor', 'pointer')
-                .style('opacity', d => {
-                    const stateName = d.properties.name;
-                    if (!selectedState) return 1;
-                    return stateName === selectedState ? 1 : 0.7;
-                })
-                .on('mouseover', function(event, d) {
-                    const stateName = d.properties.name;
-                    const sales = salesByState.get(stateName) || 0;
-                    
-                    // Highlight on hover
-                    d3.select(this)
-                        .style('stroke', '#facc15')
-                        .style('stroke-width', 2);
-                    
-                    showTooltip(event, `
-                        <strong>${stateName}</strong><br>
-                        Total Sales: $${fmt(sales)}
-                    `);
-                })
-                .on('mouseout', function(event, d) {
-                    const stateName = d.properties.name;
-                    
-                    // Reset stroke based on selection
-                    d3.select(this)
-                        .style('stroke', selectedState === stateName ? '#facc15' : '#888')
-                        .style('stroke-width', selectedState === stateName ? 2.5 : 0.5);
-                    
-                    hideTooltip();
-                })
-                .on('click', function(event, d) {
-                    const stateName = d.properties.name;
-                    
-                    // Toggle selected state
-                    if (selectedState === stateName) {
-                        selectedState = null;
-                    } else {
-                        selectedState = stateName;
-                    }
-
-                    // Update other views
-                    applyFilters();
+    if (!duration) {
+        finish();
+        return;
+    }
+    scatterChart.timer = d3.timer(elapsed => {
+        if (elapsed >= duration) {
+            scatterChart.timer.stop();
+            finish();
+            return;
+        }
+        scatterChart.progress = d3.easeCubicInOut(elapsed / duration);
+        drawScatter();
+    });
+}
 
-                    // Update map styling
-                    svg.selectAll('.state-path')
-                        .style('stroke', dd => {
-                            return selectedState === dd.properties.name ? '#facc15' : '#888';
-                        })
-                        .style('stroke-width', dd => {
-                            return selectedState === dd.properties.name ? 2.5 : 0.5;
-                        })
-                        .style('opacity', dd => {
-                            if (!selectedState) return 1;
-                            return dd.properties.name === selectedState ? 1 : 0.7;
-                        });
-                });
+function drawScatter() {
+    const { context, width, height, x, y, marks, progress } = scatterChart;
+    const tween = (a, b) => a + (b - a) * progress;
 
-            // Add legend to the HTML container (next to title)
-            const legendContainer = d3.select('#map-legend');
-            legendContainer.html(''); // clear previous
-            
-            const legendWidth = 80;
-            const legendHeight = 8;
-            
-            // Create a small inline SVG for the gradient
-            const legendSvg = legendContainer.append('svg')
-                .attr('width', legendWidth)
-                .attr('height', legendHeight);
-            
-            const defs = legendSvg.append('defs');
-            const gradient = defs.append('linearGradient')
-                .attr('id', 'sales-gradient')
-                .attr('x1', '0%')
-                .attr('x2', '100%');
+    marks.forEach(m => {
+        const tx = x(m.d.Sales);
+        const ty = y(m.d.Profit);
+        m.x = m.exiting ? m.from[0] : m.from ? tween(m.from[0], tx) : tx;
+        m.y = m.exiting ? m.from[1] : m.from ? tween(m.from[1], ty) : ty;
+        m.opacity = tween(m.fromOpacity, m.targetOpacity);
+    });
 
-            // Multiple stops to approximate sqrt scale visually
-            gradient.append('stop')
-                .attr('offset', '0%')
-                .attr('stop-color', colorScale(0));
-            
-            gradient.append('stop')
-                .attr('offset', '25%')
-                .attr('stop-color', colorScale(maxSales * 0.0625)); // sqrt(0.25)^2
-            
-            gradient.append('stop')
-                .attr('offset', '50%')
-                .attr('stop-color', colorScale(maxSales * 0.25)); // sqrt(0.5)^2
-            
-            gradient.append('stop')
-                .attr('offset', '75%')
-                .attr('stop-color', colorScale(maxSales * 0.5625)); // sqrt(0.75)^2
+    context.clearRect(0, 0, width, height);
+    if (scatterMode === 'density') {
+        drawScatterDensity();
+    } else {
+        drawScatterPoints();
+    }
+    scatterChart.quadtree = null; // positions moved, rebuilt on the next hover
+    scatterChart.noteLabel.text([scatterChart.densityNote, scatterChart.hiddenNote]
+        .filter(Boolean)
+        .join(' · '));
+}
 
-            gradient.append('stop')
-                .attr('offset', '100%')
-                .attr('stop-color', colorScale(maxSales));
+// Density cells centered off the plot are skipped by hover and keys
+function inScatterView(item) {
+    return item.x >= 0 && item.x <= scatterChart.width &&
+        item.y >= 0 && item.y <= scatterChart.height;
+}
 
-            legendSvg.append('rect')
-                .attr('width', legendWidth)
-                .attr('height', legendHeight)
-                .attr('rx', 2)
-                .style('fill', 'url(#sales-gradient)');
-            
+// Orders outside the zoomed domains aren't drawn, binned, hovered or reached by keys
+function inScatterDomain(d) {
+    const within = (value, [a, b]) => value >= Math.min(a, b) && value <= Math.max(a, b);
+    return within(d.Sales, scatterChart.x.domain()) && within(d.Profit, scatterChart.y.domain());
+}
+
+function drawScatterPoints() {
+    const { context, marks } = scatterChart;
+
+    marks.forEach(m => {
+        if (m.opacity <= 0 || (!m.exiting && !inScatterDomain(m.d))) return;
+        const color = categoryColor(m.d.Category);
+        context.globalAlpha = m.opacity;
+        context.beginPath();
+        context.arc(m.x, m.y, SCATTER_RADIUS, 0, 2 * Math.PI);
+        context.fillStyle = color;
+        context.fill();
+        context.lineWidth = 1;
+        context.strokeStyle = m.selected ? SELECTION_COLOR : color;
+        context.stroke();
+    });
+    context.globalAlpha = 1;
+
+    scatterChart.bins = [];
+    scatterChart.densityNote = '';
+}
+
+// Hexagons take the color of their most common category and get more opaque
+// with more orders; with a selection, cells holding none of it fade back
+function drawScatterDensity() {
+    const { context, marks, hasSelection } = scatterChart;
+    const bins = hexbin(marks.filter(m => !m.exiting && inScatterDomain(m.d)),
+        m => m.x, m => m.y, HEX_RADIUS);
+    const maxCount = d3.max(bins, bin => bin.length) || 1;
+    const shade = d3.scaleLog().domain([1, Math.max(2, maxCount)]).range([0.25, 0.95]);
+    const corners = hexagonCorners(HEX_RADIUS - 0.5);
+
+    bins.forEach(bin => {
+        bin.category = d3.greatest(d3.rollups(bin, v => v.length, m => m.d.Category), ([, n]) => n)[0];
+        bin.selected = bin.filter(m => m.selected).length;
+
+        context.globalAlpha = shade(bin.length) * (hasSelection && !bin.selected ? 0.2 : 1);
+        context.beginPath();
+        corners.forEach(([cx, cy], i) => {
+            context[i ? 'lineTo' : 'moveTo'](bin.x + cx, bin.y + cy);
+        });
+        context.closePath();
+        context.fillStyle = categoryColor(bin.category);
+        context.fill();
+        if (bin.selected) {
+            context.globalAlpha = 1;
+            context.lineWidth = 1.5;
+            context.strokeStyle = SELECTION_COLOR;
+            context.stroke();
+        }
+    });
+    context.globalAlpha = 1;
+
+    scatterChart.bins = bins;
+    scatterChart.densityNote = bins.length
+        ? `Hexagons: more opaque = more orders (up to ${d3.format(',')(maxCount)})`
+        : '';
+}
+
+// Pixel-space hexagonal binning (the d3-hexbin layout: pointy-top hexagons in
+// offset rows). Returns one array of points per occupied cell, centered at .x / .y
+function hexbin(points, x, y, radius) {
+    const dx = radius * 2 * Math.sin(Math.PI / 3);
+    const dy = radius * 1.5;
+    const cells = new Map();
+
+    points.forEach(point => {
+        const py = y(point) / dy;
+        let pj = Math.round(py);
+        const px = x(point) / dx - (pj & 1) / 2;
+        let pi = Math.round(px);
+        const py1 = py - pj;
+
+        // Near a row boundary the closest center may be in the neighboring row
+        if (Math.abs(py1) * 3 > 1) {
+            const px1 = px - pi;
+            const pi2 = pi + (px < pi ? -1 : 1) / 2;
+            const pj2 = pj + (py < pj ? -1 : 1);
+            const px2 = px - pi2;
+            const py2 = py - pj2;
+            if ((px1 * dx) ** 2 + (py1 * dy) ** 2 > (px2 * dx) ** 2 + (py2 * dy) ** 2) {
+                pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+                pj = pj2;
+            }
+        }
+
+        const id = `${pi},${pj}`;
+        let cell = cells.get(id);
+        if (!cell) {
+            cell = [];
+            cell.x = (pi + (pj & 1) / 2) * dx;
+            cell.y = pj * dy;
+            cells.set(id, cell);
+        }
+        cell.push(point);
+    });
+
+    return Array.from(cells.values());
+}
+
+function hexagonCorners(radius) {
+    return d3.range(6).map(i => {
+        const angle = i * Math.PI / 3;
+        return [radius * Math.sin(angle), -radius * Math.cos(angle)];
+    });
+}
+
+// Hoverable items: order marks, or density cells
+function scatterItems() {
+    return scatterMode === 'density'
+        ? scatterChart.bins.filter(bin => inScatterView(bin))
+        : scatterChart.marks.filter(m => !m.exiting && inScatterDomain(m.d));
+}
+
+function scatterItemKey(item) {
+    return scatterMode === 'density' ? `${item.x},${item.y}` : item.d['Row ID'];
+}
+
+// The item under a point of the plot, or null
+function scatterItemAt(px, py) {
+    if (!scatterChart.quadtree) {
+        scatterChart.quadtree = d3.quadtree(scatterItems(), item => item.x, item => item.y);
+    }
+    const radius = scatterMode === 'density' ? HEX_RADIUS : SCATTER_HOVER_RADIUS;
+    return scatterChart.quadtree.find(px, py, radius) || null;
+}
+
+// Arrow keys step through orders from lowest to highest sales, or cells left to right
+function scatterKeyboardOrder() {
+    return scatterMode === 'density'
+        ? d3.sort(scatterItems(), bin => bin.x, bin => bin.y)
+        : d3.sort(scatterItems(), m => m.d.Sales);
+}
+
+function scatterTooltip(item) {
+    if (scatterMode === 'density') {
+        const rows = item.map(m => m.d);
+        const byCategory = d3.rollups(rows, v => v.length, d => d.Category)
+            .map(([category, n]) => `${escapeHtml(category)}: ${d3.format(',')(n)}`)
+            .join('<br>');
+        return `
+            <strong>${d3.format(',')(rows.length)} orders</strong><br>
+            ${byCategory}<br>
+            Sales: ${formatCurrency(d3.sum(rows, d => d.Sales))}<br>
+            Profit: ${formatCurrency(d3.sum(rows, d => d.Profit))}<br>
+            Loss-making: ${d3.format(',')(rows.filter(d => d.Profit < 0).length)}
+        `;
+    }
+    const d = item.d;
+    return `
+        <strong>${escapeHtml(d.Category)}</strong><br>
+        ${escapeHtml(d['Sub-Category'])}<br>
+        State: ${escapeHtml(d.State)}<br>
+        Sales: $${d3.format(',.2f')(d.Sales)}<br>
+        Profit: $${d3.format(',.2f')(d.Profit)}<br>
+        Margin: ${d3.format('.1%')(d.Profit / d.Sales)}
+    `;
+}
+
+function scatterItemLabel(item) {
+    if (scatterMode === 'density') {
+        const rows = item.map(m => m.d);
+        const [salesLow, salesHigh] = d3.extent(rows, d => d.Sales);
+        return `${d3.format(',')(rows.length)} orders, sales ${formatCurrency(salesLow)} to ` +
+            `${formatCurrency(salesHigh)}, total profit ${formatCurrency(d3.sum(rows, d => d.Profit))}`;
+    }
+    const d = item.d;
+    return `Order ${d['Order ID']}, ${d['Sub-Category']}, ${d.State}: ` +
+        `Sales ${formatCurrency(d.Sales)}, Profit ${formatCurrency(d.Profit)}`;
+}
+
+// Ring around the item and its tooltip; null hides both
+function highlightScatterItem(item, event) {
+    const ring = scatterChart.focusRing;
+    if (!item) {
+        ring.attr('opacity', 0);
+        hideTooltip();
+        return;
+    }
+
+    if (scatterMode === 'density') {
+        ring.attr('d', `M${hexagonCorners(HEX_RADIUS).join('L')}Z`)
+            .attr('fill', 'none')
+            .attr('stroke', '#fff');
+    } else {
+        const color = categoryColor(item.d.Category);
+        ring.attr('d', d3.symbol(d3.symbolCircle, Math.PI * SCATTER_HOVER_RADIUS ** 2)())
+            .attr('fill', color)
+            .attr('stroke', item.selected ? SELECTION_COLOR : color);
+    }
+    ring.attr('transform', `translate(${item.x},${item.y})`)
+        .attr('stroke-width', 2)
+        .attr('opacity', 1);
+    showTooltip(event || { target: ring.node() }, scatterTooltip(item));
+}
+
+function focusScatterItem(item) {
+    const ring = scatterChart.focusRing;
+    if (!item) {
+        ring.attr('aria-label', 'No orders for this selection');
+        highlightScatterItem(null);
+        return;
+    }
+    scatterChart.focusKey = scatterItemKey(item);
+    ring.attr('aria-label', scatterItemLabel(item))
+        .attr('aria-pressed', scatterMode === 'density'
+            ? null
+            : String(selectedCategories.has(item.d.Category)));
+    highlightScatterItem(item);
+}
+
+function scatterKeydown(event) {
+    const items = scatterKeyboardOrder();
+    if (!items.length) return;
+    const steps = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+    const index = Math.max(0, items.findIndex(i => scatterItemKey(i) === scatterChart.focusKey));
+
+    if (event.key in steps) {
+        focusScatterItem(items[(index + steps[event.key] + items.length) % items.length]);
+    } else if (event.key === 'Home') {
+        focusScatterItem(items[0]);
+    } else if (event.key === 'End') {
+        focusScatterItem(items[items.length - 1]);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+        activateScatterItem(items[index], event.shiftKey);
+    } else {
+        return;
+    }
+    event.preventDefault();
+}
+
+// Clicking an order selects its category (shift adds it); clicking a density
+// cell selects the orders in it as a value box
+function activateScatterItem(item, shiftKey) {
+    hideTooltip();
+    if (scatterMode === 'density') {
+        // The cell's own orders: its bounding box alone would take in parts of the neighbouring cells
+        const rows = item.map(m => m.d);
+        scatterSelection = {
+            label: 'Density cell',
+            sales: d3.extent(rows, d => d.Sales),
+            profit: [d3.min(rows, d => d.Profit), d3.max(rows, d => d.Profit) + 0.01],
+            cell: scatterCell(item)
+        };
+    } else {
+        toggleSelection(selectedCategories, item.d.Category, shiftKey);
+        drillPath = [];
+    }
+    applyFilters();
+}
+
+// A density cell as its center and radius along each axis, measured where the
+// axis is linear: the pixel hexagon is a hexagon there too, and unlike pixels it
+// stays put through a zoom, a resize or a reload
+function scatterCell(bin) {
+    const axis = (scale, type, px) => {
+        const { space } = scatterScaleTypes[type];
+        const [d0, d1] = scale.domain();
+        const [r0, r1] = scale.range();
+        return { type, center: scale.invert(px), radius: HEX_RADIUS * Math.abs((space(d1) - space(d0)) / (r1 - r0)) };
+    };
+    return {
+        x: axis(scatterChart.x, scatterScales.x, bin.x),
+        y: axis(scatterChart.y, scatterScales.y, bin.y)
+    };
+}
+
+// Inside the cell's pointy-top hexagon (the hexbin() layout)
+function inScatterCell(d, cell) {
+    const offset = (value, axis) => {
+        const { space } = scatterScaleTypes[axis.type];
+        return Math.abs(space(value) - space(axis.center)) / axis.radius;
+    };
+    const u = offset(d.Sales, cell.x);
+    const v = offset(d.Profit, cell.y);
+    return u <= Math.sqrt(3) / 2 && v <= 1 - u / Math.sqrt(3);
+}
+
+// Quadrant presets: "high sales" is the top quartile of the orders currently shown
+const scatterPresets = [
+    { label: 'High sales, loss', highSales: true, loss: true },
+    { label: 'High sales, profit', highSales: true, loss: false },
+    { label: 'Low sales, loss', highSales: false, loss: true },
+    { label: 'All losses', highSales: null, loss: true }
+];
+
+function applyScatterPreset(preset) {
+    const sales = filterData().filter(d => d.Sales > 0).map(d => d.Sales).sort(d3.ascending);
+    if (!sales.length) return;
+    const highCut = d3.quantileSorted(sales, 0.75);
+
+    scatterSelection = {
+        label: preset.label,
+        sales: preset.highSales === null ? [0, Infinity]
+            : preset.highSales ? [highCut, Infinity] : [0, highCut],
+        profit: preset.loss ? [-Infinity, 0] : [0, Infinity]
+    };
+    applyFilters();
+}
+
+function createScatterControls() {
+    const controls = d3.select('#scatter-presets');
+
+    controls.selectAll('.preset-btn')
+        .data(scatterPresets)
+        .join('button')
+        .attr('class', 'chart-btn preset-btn')
+        .text(d => d.label)
+        .on('click', (_, preset) => applyScatterPreset(preset));
+
+    d3.select('#clear-scatter-selection').on('click', () => {
+        scatterSelection = null;
+        applyFilters();
+    });
+    d3.select('#toggle-scatter-density').on('click', () => {
+        scatterMode = scatterMode === 'density' ? 'points' : 'density';
+        applyFilters();
+    });
+
+    ['x', 'y'].forEach(axis => {
+        d3.select(`#scatter-${axis}-scale`)
+            .on('change', function() {
+                scatterScales[axis] = this.value;
+                applyFilters();
+            })
+            .selectAll('option')
+            .data(Object.entries(scatterScaleTypes))
+            .join('option')
+            .attr('value', ([type]) => type)
+            .text(([, type]) => `${axis === 'x' ? 'Sales' : 'Profit'}: ${type.label}`);
+    });
+
+    d3.select('#reset-scatter-zoom').on('click', () => {
+        scatterChart.plot.transition()
+            .duration(UPDATE_DURATION)
+            .call(scatterChart.zoom.transform, d3.zoomIdentity);
+    });
+}
+
+// ===============================
+// Map geometry - local files first so the map works offline
+// ===============================
+const MAP_GEOMETRY_SOURCES = ['data/us-states.json'];
+const MAP_CDN_FALLBACK = 'https://cdn.jsdelivr.net/npm/us-atlas@3/states-10m.json'; // set to null to stay offline
+
+// d3-geo expects clockwise outer rings; a ring wound the other way is read as
+// "the whole globe except this state", so flip any polygon covering over a hemisphere
+function rewindPolygon(rings) {
+    return d3.geoArea({ type: 'Polygon', coordinates: rings }) > 2 * Math.PI
+        ? rings.map(ring => ring.slice().reverse())
+        : rings;
+}
+
+// GeoJSON FeatureCollection or TopoJSON Topology → FeatureCollection with properties.name
+function toStateFeatures(json) {
+    if (json && json.type === 'Topology') {
+        if (typeof topojson === 'undefined') {
+            throw new Error('TopoJSON geometry needs topojson-client, which did not load');
+        }
+        const object = json.objects.states || Object.values(json.objects)[0];
+        return topojson.feature(json, object);
+    }
+
+    if (json && json.type === 'FeatureCollection') {
+        json.features.forEach(feature => {
+            const geometry = feature.geometry;
+            if (geometry.type === 'Polygon') {
+                geometry.coordinates = rewindPolygon(geometry.coordinates);
+            } else if (geometry.type === 'MultiPolygon') {
+                geometry.coordinates = geometry.coordinates.map(rewindPolygon);
+            }
+        });
+        return json;
+    }
+
+    throw new Error('Unrecognized geometry format (expected GeoJSON or TopoJSON)');
+}
+
+// Try each source in order; rejects with every source's error if none load
+function loadMapGeometry(sources, errors = []) {
+    if (!sources.length) {
+        return Promise.reject(new Error(errors.join('\n')));
+    }
+    const [url, ...rest] = sources;
+    return d3.json(url)
+        .then(toStateFeatures)
+        .catch(err => {
+            console.warn('REGIONAL MAP: geometry unavailable from', url, err);
+            return loadMapGeometry(rest, [...errors, `${url}: ${err.message}`]);
+        });
+}
+
+function getMapGeometry() {
+    if (!mapGeometryRequest) {
+        const sources = MAP_CDN_FALLBACK
+            ? [...MAP_GEOMETRY_SOURCES, MAP_CDN_FALLBACK]
+            : MAP_GEOMETRY_SOURCES;
+        mapGeometryRequest = loadMapGeometry(sources).catch(err => {
+            mapGeometryRequest = null; // let the retry button fetch again
+            throw err;
+        });
+    }
+    return mapGeometryRequest;
+}
+
+// Postal code → [lon, lat] for every code in the dataset (US Census ZIP centroids).
+// Optional: without it the map still works, just without city symbols.
+function getPostalCodeCentroids() {
+    if (!postalCodeRequest) {
+        postalCodeRequest = d3.json('data/us-postal-codes.json').catch(err => {
+            console.warn('REGIONAL MAP: postal code centroids unavailable, no city symbols', err);
+            return null;
+        });
+    }
+    return postalCodeRequest;
+}
+
+// Visible error state in place of the map
+function showMapError(svg, width, height, err) {
+    svg.selectAll('*').remove();
+    d3.select('#map-legend').html('');
+
+    const message = svg.append('g')
+        .attr('class', 'map-error')
+        .attr('transform', `translate(${width / 2},${height / 2})`);
+
+    message.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('y', -8)
+        .style('fill', '#e74c3c')
+        .style('font-size', '13px')
+        .text('Map unavailable – state geometry could not be loaded');
+
+    message.append('text')
+        .attr('text-anchor', 'middle')
+        .attr('y', 12)
+        .style('fill', '#888')
+        .style('font-size', '10px')
+        .text(err.message.split('\n')[0]);
+
+    d3.select('#retry-map').property('hidden', false);
+}
+
+// ===============================
+// 4. Regional Choropleth Map (USA) - selected metric (or days to ship) by state
+// drives state selection, re-colored on every filter change; a single selected
+// state zooms in and shows city-level proportional symbols
+// ===============================
+const mapChart = {}; // layers and current geometry, built on the first successful render
+
+// State and city layers plus the lasso, bound once. The lasso reads the current
+// features and path from `mapChart`, so it never goes stale between renders.
+function createMapLayers(svg) {
+    svg.selectAll('*').remove();
+
+    mapChart.states = svg.append('g')
+        .attr('class', 'states')
+        .attr('transform', mapTransform);
+    mapChart.cities = svg.append('g')
+        .attr('class', 'city-symbols');
+
+    // Lasso: drag across the map to select every state whose centroid falls
+    // inside the drawn shape (hold shift to add to the current selection)
+    let lassoPoints = [];
+    const lassoPath = svg.append('path')
+        .attr('class', 'lasso');
+
+    svg.call(d3.drag()
+        .container(function() { return this; })
+        .on('start', event => {
+            lassoPoints = [[event.x, event.y]];
+        })
+        .on('drag', event => {
+            lassoPoints.push([event.x, event.y]);
+            lassoPath.attr('d', d3.line()(lassoPoints) + 'Z');
+        })
+        .on('end', event => {
+            lassoPath.attr('d', null);
+            if (lassoPoints.length < 3) return; // plain click, handled by the state path
+
+            const lassoed = mapChart.features
+                .filter(f => {
+                    const centroid = mapTransform.apply(mapChart.path.centroid(f));
+                    return !isNaN(centroid[0]) && d3.polygonContains(lassoPoints, centroid);
+                })
+                .map(f => f.properties.name);
+            if (!lassoed.length) return;
+
+            if (!event.sourceEvent.shiftKey) selectedStates.clear();
+            lassoed.forEach(name => selectedStates.add(name));
+            applyFilters();
+        }));
+}
+
+function regionalSalesMap(data) {
+    console.log('REGIONAL MAP: Starting...');
+    // Comparing: `data` spans the full timeline, both periods are sliced from it
+    const periods = compareMode || mapColorMode === 'growth' ? comparisonPeriods() : null;
+    const currentRows = periods ? inPeriod(data, periods.current) : data;
+    const baseMetric = mapColorMode === 'shipDays' ? shipDaysMetric : currentMetric();
+    const metric = mapColorMode === 'growth' ? growthMetric(baseMetric, periods) : baseMetric;
+    const title = periods
+        ? `Regional ${metric.label} by State · ${formatDateRange(periods.current)}`
+        : `Regional ${metric.label} by State`;
+    d3.select('#regional-sales h2').text(title);
+    d3.select('#toggle-map-growth').classed('active', mapColorMode === 'growth');
+
+    const container = document.querySelector('#regional-sales');
+    const svg = d3.select('#regional-sales > svg') // not the legend's inline svg
+        .attr('role', 'group')
+        .attr('aria-label', `Map: ${title}`);
+
+    const containerWidth = container ? container.clientWidth : 400;
+    const narrow = isNarrow(containerWidth);
+    // Narrow panels move the legend from the header to below the map
+    if (container) {
+        const legendHome = narrow ? container : container.querySelector('.chart-header');
+        const legendNode = document.getElementById('map-legend');
+        if (legendNode.parentNode !== legendHome) legendHome.appendChild(legendNode);
+    }
+    const containerHeight = container
+        ? container.clientHeight - 40 - (narrow ? 18 : 0) // account for title (and legend)
+        : 300;
+    const width = containerWidth - 20;
+    const height = containerHeight - 10;
+
+    svg.attr('width', containerWidth).attr('height', containerHeight);
+    // Read now, the render below is async
+    const instant = layoutChanging;
+
+    // Geometry is fetched once and reused on later renders
+    Promise.all([getMapGeometry(), getPostalCodeCentroids()])
+        .then(([geo, postalCentroids]) => {
+            d3.select('#retry-map').property('hidden', true);
+            // First render, or the first one after an error state replaced the layers
+            if (svg.select('.states').empty()) createMapLayers(svg);
+            const t = d3.transition().duration(instant ? 0 : UPDATE_DURATION);
+
+            // Aggregate the selected metric by state (growth: states without a baseline stay grey)
+            const valueByState = d3.rollup(
+                mapColorMode === 'growth' ? data : currentRows,
+                metric.value,
+                d => d.State
+            );
+            valueByState.forEach((value, state) => {
+                if (value === null) valueByState.delete(state);
+            });
+            const previousByState = periods && mapColorMode !== 'growth'
+                ? d3.rollup(inPeriod(data, periods.previous), baseMetric.value, d => d.State)
+                : null;
+
+            // Get min/max for color scale
+            const stateValues = Array.from(valueByState.values());
+            const maxValue = d3.max(stateValues) || 1;
+            const minValue = metric.relative ? d3.min(stateValues) || 0 : 0;
+            // Growth from a tiny baseline can run to thousands of percent, so its
+            // scale stops at the 90th percentile and clamps the outliers
+            const maxAbs = (mapColorMode === 'growth'
+                ? d3.quantile(stateValues, 0.9, v => Math.abs(v))
+                : d3.max(stateValues, v => Math.abs(v))) || 1;
+
+            // Color scale - sqrt for better differentiation at lower values;
+            // metrics that can go negative get a diverging red (loss) / blue (gain) scale
+            const colorScale = metric.diverging
+                ? d3.scaleDivergingSqrt(d3.interpolateRdBu).domain([-maxAbs, 0, maxAbs]).clamp(true)
+                : d3.scalePow()
+                    .exponent(0.5)
+                    .domain([minValue, maxValue])
+                    .range(['#ffffff', metric.color || '#dc2626'])
+                    .interpolate(d3.interpolateRgb);
+
+            const projection = d3.geoAlbersUsa().fitSize([width, height], geo);
+            const path = d3.geoPath(projection);
+            mapChart.features = geo.features;
+            mapChart.path = path;
+
+            // Zoom to a single selected state, otherwise show the national view
+            const zoomFeature = selectedStates.size === 1
+                ? geo.features.find(f => selectedStates.has(f.properties.name))
+                : null;
+            let nextTransform = d3.zoomIdentity;
+            if (zoomFeature) {
+                const [[x0, y0], [x1, y1]] = path.bounds(zoomFeature);
+                const k = Math.min(8, 0.9 / Math.max((x1 - x0) / width, (y1 - y0) / height));
+                nextTransform = d3.zoomIdentity
+                    .translate(width / 2, height / 2)
+                    .scale(k)
+                    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+            }
+            const previousTransform = mapTransform;
+            mapTransform = nextTransform;
+            updateMapBreadcrumb(zoomFeature && zoomFeature.properties.name);
+
+            // Orders brushed in the scatter, counted per state for highlighting
+            const selectedRows = getScatterSelection();
+            const selectionByState = d3.rollup(selectedRows || [], v => v.length, d => d.State);
+
+            // Selected states: yellow; states holding brushed orders: cyan
+            const stateStroke = name => selectedStates.has(name) ? '#facc15'
+                : selectionByState.has(name) ? SELECTION_COLOR : '#888';
+            const stateStrokeWidth = name => selectedStates.has(name) ? 2.5
+                : selectionByState.has(name) ? 1.5 : 0.5;
+
+            // Animate between national and state zoom (jump when only the size changed)
+            const statesGroup = mapChart.states;
+            const zoomChanged = previousTransform.toString() !== nextTransform.toString();
+            if (instant) {
+                statesGroup.interrupt().attr('transform', nextTransform);
+            } else if (zoomChanged) {
+                const zoom = d3.interpolate(
+                    [previousTransform.x, previousTransform.y, previousTransform.k],
+                    [nextTransform.x, nextTransform.y, nextTransform.k]
+                );
+                statesGroup.transition()
+                    .duration(750)
+                    .attrTween('transform', () => t => {
+                        const [x, y, k] = zoom(t);
+                        return `translate(${x},${y}) scale(${k})`;
+                    });
+            }
+
+            // Draw states as choropleth, colors fading to the new values
+            const stateFill = name => {
+                if (!valueByState.has(name)) return '#e5e5e5';
+                const value = valueByState.get(name);
+                return metric.diverging || value > 0 ? colorScale(value) : '#e5e5e5';
+            };
+            const stateOpacity = name => {
+                if (selectedRows) return selectionByState.has(name) ? 1 : 0.5;
+                if (!selectedStates.size) return 1;
+                return selectedStates.has(name) ? 1 : 0.7;
+            };
+
+            const states = statesGroup
+                .selectAll('path')
+                .data(geo.features, d => d.properties.name)
+                .join(enter => enter.append('path')
+                    .style('fill', d => stateFill(d.properties.name)))
+                .attr('class', 'state-path')
+                .attr('d', path)
+                .style('stroke', d => stateStroke(d.properties.name))
+                .style('stroke-width', d => stateStrokeWidth(d.properties.name))
+                .style('cursor', 'pointer')
+                .on('mouseover', function(event, d) {
+                    const stateName = d.properties.name;
+                    const value = valueByState.get(stateName) || 0;
+                    
+                    // Highlight on hover
+                    d3.select(this)
+                        .style('stroke', '#facc15')
+                        .style('stroke-width', 2);
+                    
+                    const selectedCount = selectionByState.get(stateName);
+                    const change = previousByState &&
+                        periodChange(baseMetric, value, previousByState.get(stateName));
+                    showTooltip(event, `
+                        <strong>${escapeHtml(stateName)}</strong><br>
+                        ${mapColorMode === 'growth'
+                            ? `${baseMetric.label} ${formatDateRange(periods.current)} vs ${formatDateRange(periods.previous)}: ${valueByState.has(stateName) ? metric.format(value) : 'n/a'}`
+                            : `Total ${metric.label}: ${metric.format(value)}`}
+                        ${previousByState ? `<br>Δ vs ${formatDateRange(periods.previous)}: ${formatChange(baseMetric, change)}` : ''}
+                        ${selectedCount ? `<br>${escapeHtml(scatterSelection.label)}: ${selectedCount}` : ''}
+                    `);
+                })
+                .on('mouseout', function(event, d) {
+                    const stateName = d.properties.name;
+                    
+                    // Reset stroke based on selection
+                    d3.select(this)
+                        .style('stroke', stateStroke(stateName))
+                        .style('stroke-width', stateStrokeWidth(stateName));
+                    
+                    hideTooltip();
+                })
+                .on('click', function(event, d) {
+                    const stateName = d.properties.name;
+                    
+                    // Select state (shift-click to add/remove)
+                    toggleSelection(selectedStates, stateName, event.shiftKey);
+
+                    // Update all views (including this map's styling)
+                    applyFilters();
+                });
+
+            states.transition(t)
+                .style('fill', d => stateFill(d.properties.name))
+                .style('opacity', d => stateOpacity(d.properties.name));
+
+            // Arrow keys go through the states alphabetically
+            makeFocusable(states, {
+                name: 'states',
+                key: d => d.properties.name,
+                order: d => d.properties.name,
+                label: d => {
+                    const name = d.properties.name;
+                    return `${name}: ${metric.label} ${valueByState.has(name) ? metric.format(valueByState.get(name)) : 'no data'}`;
+                },
+                pressed: d => selectedStates.has(d.properties.name)
+            });
+
+            drawCitySymbols(mapChart.cities, currentRows, zoomFeature && postalCentroids && zoomFeature.properties.name,
+                postalCentroids, projection, baseMetric, zoomChanged && !instant, instant ? 0 : UPDATE_DURATION);
+
+            // Add legend to the HTML container (next to title)
+            const legendContainer = d3.select('#map-legend');
+            legendContainer.html(''); // clear previous
+            
+            const legendWidth = 80;
+            const legendHeight = 8;
+            
+            // Create a small inline SVG for the gradient
+            const legendSvg = legendContainer.append('svg')
+                .attr('width', legendWidth)
+                .attr('height', legendHeight);
+            
+            const defs = legendSvg.append('defs');
+            const gradient = defs.append('linearGradient')
+                .attr('id', 'map-gradient')
+                .attr('x1', '0%')
+                .attr('x2', '100%');
+
+            // Multiple stops to approximate the sqrt scale visually:
+            // offset t maps to min + (max - min) * t^2 (or ±maxAbs * u^2 around the diverging midpoint)
+            const legendValue = t => {
+                if (!metric.diverging) return minValue + (maxValue - minValue) * t * t;
+                const u = 2 * t - 1;
+                return Math.sign(u) * maxAbs * u * u;
+            };
+
+            [0, 0.25, 0.5, 0.75, 1].forEach(t => {
+                gradient.append('stop')
+                    .attr('offset', `${t * 100}%`)
+                    .attr('stop-color', colorScale(legendValue(t)));
+            });
+
+            legendSvg.append('rect')
+                .attr('width', legendWidth)
+                .attr('height', legendHeight)
+                .attr('rx', 2)
+                .style('fill', 'url(#map-gradient)');
+            
             // Add text labels
             legendContainer.insert('span', 'svg')
-                .text('$0')
+                .text(metric.diverging || metric.relative ? metric.tickFormat(legendValue(0)) : metric.format(0))
                 .style('font-size', '9px');
             
             legendContainer.append('span')
-                .text('$' + d3.format('.2s')(maxSales))
+                .text(metric.tickFormat(legendValue(1)))
                 .style('font-size', '9px');
+
+            updateDataTable('#regional-sales > svg', title, [
+                { label: 'State', value: ([name]) => name },
+                { label: metric.label, value: ([, value]) => metric.format(value) },
+                ...(previousByState ? [{
+                    label: `Change vs ${formatDateRange(periods.previous)}`,
+                    value: ([name, value]) => formatChange(baseMetric, periodChange(baseMetric, value, previousByState.get(name)))
+                }] : [])
+            ], Array.from(valueByState).sort((a, b) => b[1] - a[1]));
             
             console.log('REGIONAL MAP: Complete!');
         })
-        .catch(err => console.error('Map error:', err));
+        .catch(err => {
+            console.error('Map error:', err);
+            showMapError(svg, containerWidth, containerHeight, err);
+        });
+}
+
+// Map color mode: change of the base metric between the two comparison periods
+function growthMetric(metric, periods) {
+    return {
+        label: `${metric.label} Growth`,
+        value: v => periodChange(metric, metric.value(inPeriod(v, periods.current)),
+            inPeriod(v, periods.previous).length ? metric.value(inPeriod(v, periods.previous)) : undefined),
+        format: change => formatChange(metric, change),
+        tickFormat: change => formatChange(metric, change),
+        additive: false,
+        diverging: true   // shrinking red, growing blue
+    };
+}
+
+// City-level proportional symbols for the zoomed state (none when `stateName` is
+// null), sized by the map's metric and placed at the mean centroid of each city's postal codes.
+// `animate`: fade in after the zoom; otherwise update over `duration` ms
+function drawCitySymbols(layer, rows, stateName, postalCentroids, projection, metric, animate, duration) {
+    const cities = !stateName ? [] : d3.groups(rows.filter(d => d.State === stateName), d => d.City)
+        .map(([city, cityRows]) => {
+            const points = Array.from(
+                new Set(cityRows.map(d => String(d['Postal Code']).padStart(5, '0'))),
+                code => postalCentroids[code]
+            ).filter(Boolean);
+            if (!points.length) return null;
+
+            const position = projection([d3.mean(points, p => p[0]), d3.mean(points, p => p[1])]);
+            if (!position) return null;
+
+            return {
+                key: cityKey(cityRows[0]),
+                city,
+                value: metric.value(cityRows),
+                orders: new Set(cityRows.map(d => d['Order ID'])).size,
+                position: mapTransform.apply(position)
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => Math.abs(b.value) - Math.abs(a.value)); // small symbols on top
+
+    const radius = d3.scaleSqrt()
+        .domain([0, d3.max(cities, d => Math.abs(d.value)) || 1])
+        .range([2, 16]);
+    const cityOpacity = d => !selectedCities.size || selectedCities.has(d.key) ? 1 : 0.5;
+
+    // New symbols fade in once the zoom has settled; the others resize in place
+    const symbols = layer.selectAll('circle')
+        .data(cities, d => d.key)
+        .join(
+            enter => enter.append('circle')
+                .attr('class', 'city-symbol')
+                .attr('cx', d => d.position[0])
+                .attr('cy', d => d.position[1])
+                .attr('r', d => radius(Math.abs(d.value)))
+                .attr('opacity', 0),
+            update => update,
+            exit => exit.remove() // positions are stale once the zoom changes
+        )
+        .attr('fill', d => d.value < 0 ? '#e74c3c' : '#0f1219')
+        .attr('fill-opacity', 0.65)
+        .attr('stroke', d => selectedCities.has(d.key) ? '#facc15' : 'white')
+        .attr('stroke-width', d => selectedCities.has(d.key) ? 2 : 0.75)
+        .style('cursor', 'pointer')
+        .on('mouseover', function(event, d) {
+            d3.select(this).attr('fill-opacity', 0.9);
+            showTooltip(event, `
+                <strong>${escapeHtml(d.city)}</strong><br>
+                ${escapeHtml(stateName)}<br>
+                ${metric.label}: ${metric.format(d.value)}<br>
+                Orders: ${d3.format(',')(d.orders)}
+            `);
+        })
+        .on('mouseout', function() {
+            d3.select(this).attr('fill-opacity', 0.65);
+            hideTooltip();
+        })
+        .on('click', function(event, d) {
+            // Select city (shift-click to add/remove)
+            toggleSelection(selectedCities, d.key, event.shiftKey);
+            hideTooltip();
+            applyFilters();
+        });
+
+    symbols.transition()
+        .delay(animate ? 600 : 0)
+        .duration(animate ? 300 : duration)
+        .attr('cx', d => d.position[0])
+        .attr('cy', d => d.position[1])
+        .attr('r', d => radius(Math.abs(d.value)))
+        .attr('opacity', cityOpacity);
+
+    makeFocusable(symbols, {
+        name: 'cities',
+        key: d => d.key,
+        order: d => d.city,
+        label: d => `${d.city}: ${metric.label} ${metric.format(d.value)}, ${d3.format(',')(d.orders)} orders`,
+        pressed: d => selectedCities.has(d.key)
+    });
+}
+
+// "United States › Texas › Houston" above the map while zoomed in
+function updateMapBreadcrumb(stateName) {
+    const crumbs = !stateName ? [] : [
+        { label: 'United States', zoomOut: true },
+        { label: stateName, current: !selectedCities.size }
+    ];
+    if (stateName && selectedCities.size) {
+        crumbs.push({
+            label: Array.from(selectedCities, key => key.split(', ')[0]).join(', '),
+            current: true
+        });
+    }
+
+    d3.select('#map-breadcrumb')
+        .selectAll('.crumb')
+        .data(crumbs)
+        .join('button')
+        .attr('class', 'crumb')
+        .attr('type', 'button')
+        .classed('current', d => d.current)
+        .property('disabled', d => !!d.current)
+        .attr('aria-current', d => d.current ? 'true' : null)
+        .text(d => d.label)
+        .on('click', function(_, d) {
+            if (d.current) return;
+            if (d.zoomOut) selectedStates.clear();
+            selectedCities.clear();
+            applyFilters();
+        });
+}
+
+// ===============================
+// 5. Filter Panel - Metric switcher + Region / Segment / Ship Mode (multi-select)
+// ===============================
+const filterPanelGroups = [
+    { label: 'Region', column: 'Region', param: 'region', selected: selectedRegions },
+    { label: 'Segment', column: 'Segment', param: 'segment', selected: selectedSegments },
+    { label: 'Ship Mode', column: 'Ship Mode', param: 'ship', selected: selectedShipModes }
+];
+
+const compareOptions = [
+    { mode: null, label: 'Off' },
+    { mode: 'year', label: 'Year ago' },
+    { mode: 'period', label: 'Prior period' }
+];
+
+function createFilterPanel() {
+    const panel = d3.select('#filter-panel');
+    panel.selectAll('*').remove();
+
+    // Metric switcher (single choice, re-drives every chart)
+    const metricGroup = panel.append('div')
+        .attr('class', 'filter-group');
+
+    metricGroup.append('span')
+        .attr('class', 'filter-label')
+        .text('Metric');
+
+    metricGroup.selectAll('.metric-btn')
+        .data(Object.keys(metrics))
+        .join('button')
+        .attr('class', 'filter-btn metric-btn')
+        .text(key => metrics[key].label)
+        .on('click', function(_, key) {
+            selectedMetric = key;
+            applyFilters();
+        });
+
+    // Period comparison (ghost prior year, side-by-side bars, deltas in tooltips)
+    const compareGroup = panel.append('div')
+        .attr('class', 'filter-group');
+
+    compareGroup.append('span')
+        .attr('class', 'filter-label')
+        .text('Compare');
+
+    compareGroup.selectAll('.compare-btn')
+        .data(compareOptions)
+        .join('button')
+        .attr('class', 'filter-btn compare-btn')
+        .text(d => d.label)
+        .on('click', function(_, d) {
+            compareMode = d.mode;
+            applyFilters();
+        });
+
+    filterPanelGroups.forEach(group => {
+        const values = Array.from(new Set(data.map(d => d[group.column]))).sort();
+
+        const groupDiv = panel.append('div')
+            .attr('class', 'filter-group');
+
+        groupDiv.append('span')
+            .attr('class', 'filter-label')
+            .text(group.label);
+
+        groupDiv.selectAll('.filter-btn')
+            .data(values)
+            .join('button')
+            .attr('class', 'filter-btn')
+            .attr('data-column', group.column)
+            .text(d => d)
+            .on('click', function(_, value) {
+                // Toggle value in this dimension's selection (empty = all)
+                if (group.selected.has(value)) {
+                    group.selected.delete(value);
+                } else {
+                    group.selected.add(value);
+                }
+                applyFilters();
+            });
+    });
+
+    panel.append('button')
+        .attr('id', 'reset-filters')
+        .attr('class', 'chart-btn')
+        .text('Reset')
+        .on('click', () => {
+            filterPanelGroups.forEach(group => group.selected.clear());
+            applyFilters();
+        });
+
+    // The URL always holds the full dashboard state
+    panel.append('button')
+        .attr('id', 'copy-link')
+        .attr('class', 'chart-btn')
+        .text('Copy link')
+        .on('click', function() {
+            const button = d3.select(this);
+            navigator.clipboard.writeText(location.href)
+                .then(() => button.text('Copied!'))
+                .catch(() => button.text('Copy failed'))
+                .finally(() => setTimeout(() => button.text('Copy link'), 1500));
+        });
+
+    panel.append('button')
+        .attr('id', 'print-report')
+        .attr('class', 'chart-btn')
+        .attr('title', 'Lay out every chart with the active filters and KPIs, then print (or save as PDF)')
+        .text('Print report')
+        .on('click', printReport);
+}
+
+// Sync button states with the current selections
+function updateFilterPanel() {
+    d3.selectAll('#filter-panel .metric-btn')
+        .classed('active', key => key === selectedMetric);
+
+    d3.selectAll('#filter-panel .compare-btn')
+        .classed('active', d => d.mode === compareMode);
+
+    filterPanelGroups.forEach(group => {
+        d3.selectAll(`#filter-panel .filter-btn[data-column="${group.column}"]`)
+            .classed('active', d => group.selected.has(d));
+    });
+
+    const anyActive = filterPanelGroups.some(group => group.selected.size);
+    d3.select('#reset-filters').property('hidden', !anyActive);
+}
+
+// ===============================
+// 6. Order Details Table - rows behind the current filters (and scatter selection)
+// sortable, searchable, virtual-scrolled, exportable
+// ===============================
+const tableColumns = [
+    { label: 'Order ID', value: d => d['Order ID'] },
+    { label: 'Order Date', value: d => d.OrderDate, format: d3.timeFormat('%Y-%m-%d') },
+    { label: 'Ship Mode', value: d => d['Ship Mode'] },
+    { label: 'Customer', value: d => d['Customer Name'] },
+    { label: 'Segment', value: d => d.Segment },
+    { label: 'State', value: d => d.State },
+    { label: 'Category', value: d => d.Category },
+    { label: 'Sub-Category', value: d => d['Sub-Category'] },
+    { label: 'Product', value: d => d['Product Name'], wide: true },
+    { label: 'Sales', value: d => d.Sales, format: d3.format(',.2f'), numeric: true },
+    { label: 'Qty', value: d => d.Quantity, numeric: true },
+    { label: 'Discount', value: d => d.Discount, format: d3.format('.0%'), numeric: true },
+    { label: 'Profit', value: d => d.Profit, format: d3.format(',.2f'), numeric: true }
+];
+const TABLE_ROW_HEIGHT = 22; // px, fixed so the virtual scroll can compute offsets
+const TABLE_ROW_BUFFER = 10; // extra rows rendered above/below the viewport
+
+let tableSort = { column: 'Order Date', ascending: false }; // see DEFAULT_TABLE_SORT
+let tableSearch = '';
+let tableRows = []; // current view: filtered, searched and sorted
+
+function createOrderTable() {
+    const panel = d3.select('#order-details');
+
+    panel.select('#table-search').on('input', function() {
+        tableSearch = this.value.trim().toLowerCase();
+        updateOrderTable();
+        writeUrlState(false);
+    });
+
+    panel.select('#export-csv').on('click', () => {
+        downloadFile('superstore-orders.csv', d3.csvFormat(exportRows(), dataColumns), 'text/csv');
+    });
+
+    panel.select('#export-json').on('click', () => {
+        downloadFile('superstore-orders.json', JSON.stringify(exportRows(), null, 2), 'application/json');
+    });
+
+    panel.select('thead tr')
+        .selectAll('th')
+        .data(tableColumns)
+        .join('th')
+        .classed('numeric', c => c.numeric)
+        .classed('sortable', true)
+        .on('click', function(_, c) {
+            tableSort = tableSort.column === c.label
+                ? { column: c.label, ascending: !tableSort.ascending }
+                : { column: c.label, ascending: !c.numeric }; // numbers start largest-first
+            updateOrderTable();
+            writeUrlState(false);
+        });
+
+    panel.select('.table-scroll').on('scroll', renderTableWindow);
+}
+
+// Recompute the rows for the current filters, search and sort
+function updateOrderTable() {
+    const selectedRows = getScatterSelection();
+    let rows = selectedRows || filterData();
+
+    if (tableSearch) {
+        rows = rows.filter(d =>
+            d['Customer Name'].toLowerCase().includes(tableSearch) ||
+            d['Product Name'].toLowerCase().includes(tableSearch) ||
+            d['Order ID'].toLowerCase().includes(tableSearch)
+        );
+    }
+
+    const sortColumn = tableColumns.find(c => c.label === tableSort.column);
+    const order = tableSort.ascending ? d3.ascending : d3.descending;
+    tableRows = rows.slice().sort((a, b) => order(sortColumn.value(a), sortColumn.value(b)));
+
+    const panel = d3.select('#order-details');
+    panel.select('h2').text(
+        `Order Details – ${d3.format(',')(tableRows.length)} rows` +
+        (selectedRows ? ` · ${scatterSelection.label}` : '')
+    );
+
+    panel.selectAll('thead th')
+        .text(c => c.label + (c.label === tableSort.column ? (tableSort.ascending ? ' ▲' : ' ▼') : ''));
+
+    panel.select('.table-scroll').property('scrollTop', 0);
+    renderTableWindow();
+}
+
+// Only the rows in (and just around) the viewport are in the DOM;
+// spacer rows above and below keep the scrollbar the full height
+function renderTableWindow() {
+    const scroller = document.querySelector('#order-details .table-scroll');
+    const visibleCount = Math.ceil(scroller.clientHeight / TABLE_ROW_HEIGHT);
+    const start = Math.max(0, Math.floor(scroller.scrollTop / TABLE_ROW_HEIGHT) - TABLE_ROW_BUFFER);
+    const end = Math.min(tableRows.length, start + visibleCount + 2 * TABLE_ROW_BUFFER);
+
+    const tbody = d3.select('#order-details tbody');
+    tbody.select('.spacer-top td').style('height', `${start * TABLE_ROW_HEIGHT}px`);
+    tbody.select('.spacer-bottom td').style('height', `${(tableRows.length - end) * TABLE_ROW_HEIGHT}px`);
+
+    tbody.selectAll('tr.row')
+        .data(tableRows.slice(start, end))
+        .join(
+            enter => enter.insert('tr', '.spacer-bottom').attr('class', 'row'),
+            update => update,
+            exit => exit.remove()
+        )
+        .classed('loss', d => d.Profit < 0)
+        .selectAll('td')
+        .data(d => tableColumns.map(c => {
+            const value = c.value(d);
+            return { column: c, text: c.format ? c.format(value) : value };
+        }))
+        .join('td')
+        .classed('numeric', d => d.column.numeric)
+        .classed('wide', d => d.column.wide)
+        .attr('title', d => d.column.wide ? d.text : null)
+        .text(d => d.text);
+}
+
+// Current table view with the original CSV columns and values
+function exportRows() {
+    return tableRows.map(d => Object.fromEntries(dataColumns.map(col => [col, d[col]])));
+}
+
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0); // after the download has started
+}
+
+// ===============================
+// 7. Shareable URL State - every selection lives in the query string,
+// restored on load and on browser back/forward
+// ===============================
+const DEFAULT_TABLE_SORT = { column: 'Order Date', ascending: false };
+const formatMonthParam = d3.timeFormat('%Y-%m');
+const parseMonthParam = d3.timeParse('%Y-%m');
+
+function serializeState() {
+    const params = new URLSearchParams();
+
+    if (selectedMetric !== 'Sales') params.set('metric', selectedMetric);
+    if (mapColorMode !== 'metric') params.set('map', mapColorMode);
+    if (compareMode) params.set('compare', compareMode);
+    if (forecastHorizon) params.set('forecast', forecastHorizon);
+    if (scatterMode !== 'points') params.set('scatter', scatterMode);
+    if (scatterScales.x !== 'log') params.set('xscale', scatterScales.x);
+    if (scatterScales.y !== 'symlog') params.set('yscale', scatterScales.y);
+    const pivot = [pivotConfig.rows, pivotConfig.columns, pivotConfig.field, pivotConfig.aggregate];
+    if (pivot.join() !== Object.values(DEFAULT_PIVOT).join()) params.set('pivot', pivot.join());
+    const alerts = [alertSettings.margin, alertSettings.sigma, alertSettings.loss];
+    if (alerts.join() !== Object.values(DEFAULT_ALERTS).join()) params.set('alerts', alerts.join());
+    selectedCategories.forEach(value => params.append('category', value));
+    selectedStates.forEach(value => params.append('state', value));
+    selectedCities.forEach(value => params.append('city', value));
+    drillPath.forEach(value => params.append('drill', value));
+    selectedCustomers.forEach(value => params.append('customer', value));
+    selectedRfmSegments.forEach(value => params.append('rfm', value));
+    selectedDiscountBands.forEach(value => params.append('discount', value));
+    filterPanelGroups.forEach(group => {
+        group.selected.forEach(value => params.append(group.param, value));
+    });
+
+    if (selectedDateRange) {
+        params.set('from', formatMonthParam(selectedDateRange[0]));
+        params.set('to', formatMonthParam(d3.timeMonth.offset(selectedDateRange[1], -1)));
+    }
+
+    if (scatterSelection) {
+        const { label, sales, profit, cell } = scatterSelection;
+        params.set('selection', label);
+        // Six significant digits, rounded outwards so orders on the edges stay inside
+        const round = (v, direction) => {
+            if (!v || !Number.isFinite(v)) return v;
+            const step = 10 ** (Math.floor(Math.log10(Math.abs(v))) - 5);
+            return +(Math[direction](v / step) * step).toPrecision(6);
+        };
+        params.set('box', [round(sales[0], 'floor'), round(sales[1], 'ceil'), round(profit[0], 'floor'), round(profit[1], 'ceil')].join(','));
+        if (cell) {
+            params.set('cell', [cell.x.type, cell.y.type, cell.x.center, cell.y.center, cell.x.radius, cell.y.radius]
+                .map(v => typeof v === 'number' ? +v.toPrecision(8) : v)
+                .join(','));
+        }
+    }
+
+    if (tableSearch) params.set('search', tableSearch);
+    if (tableSort.column !== DEFAULT_TABLE_SORT.column ||
+        tableSort.ascending !== DEFAULT_TABLE_SORT.ascending) {
+        params.set('sort', `${tableSort.column}:${tableSort.ascending ? 'asc' : 'desc'}`);
+    }
+
+    return params.toString();
+}
+
+// Push a history entry for selection changes, or replace the current one
+// (initial load, back/forward, typing in the table search)
+function writeUrlState(push) {
+    const query = serializeState();
+    const search = query ? `?${query}` : '';
+    if (search === location.search) return;
+    history[push ? 'pushState' : 'replaceState'](null, '', location.pathname + search + location.hash);
+}
+
+// An empty search resets every selection (e.g. after loading a new file)
+function readUrlState(search = location.search) {
+    const params = new URLSearchParams(search);
+    // Links can come from another dataset (or be crafted): keep only values the data has
+    const known = values => new Set(values);
+    const column = name => known(data.map(d => d[name]));
+    const fillSet = (set, key, values) => {
+        set.clear();
+        params.getAll(key).filter(value => values.has(value)).forEach(value => set.add(value));
+    };
+
+    selectedMetric = Object.hasOwn(metrics, params.get('metric')) ? params.get('metric') : 'Sales';
+    mapColorMode = ['shipDays', 'growth'].includes(params.get('map')) ? params.get('map') : 'metric';
+    compareMode = ['year', 'period'].includes(params.get('compare')) ? params.get('compare') : null;
+    forecastHorizon = FORECAST_HORIZONS.includes(+params.get('forecast')) ? +params.get('forecast') : 0;
+    scatterMode = params.get('scatter') === 'density' ? 'density' : 'points';
+    // Own keys only: 'constructor' or 'toString' would pass a plain lookup
+    scatterScales.x = Object.hasOwn(scatterScaleTypes, params.get('xscale')) ? params.get('xscale') : 'log';
+    scatterScales.y = Object.hasOwn(scatterScaleTypes, params.get('yscale')) ? params.get('yscale') : 'symlog';
+    const [rows, columns, field, aggregate] = (params.get('pivot') || '').split(',');
+    Object.assign(pivotConfig, DEFAULT_PIVOT);
+    if (pivotPart(pivotDimensions, rows) && pivotPart(pivotDimensions, columns) && rows !== columns &&
+        pivotPart(pivotFields, field) && pivotPart(pivotAggregates, aggregate)) {
+        Object.assign(pivotConfig, { rows, columns, field, aggregate });
+    }
+    const [margin, sigma, loss] = (params.get('alerts') || '').split(',').map(Number);
+    Object.assign(alertSettings, DEFAULT_ALERTS);
+    if (alertOptions.margin.includes(margin) && alertOptions.sigma.includes(sigma) && alertOptions.loss.includes(loss)) {
+        Object.assign(alertSettings, { margin, sigma, loss });
+    }
+    fillSet(selectedCategories, 'category', column('Category'));
+    fillSet(selectedStates, 'state', column('State'));
+    fillSet(selectedCities, 'city', known(data.map(cityKey)));
+    fillSet(selectedCustomers, 'customer', column('Customer ID'));
+    fillSet(selectedRfmSegments, 'rfm', known(rfmSegments.map(segment => segment.name)));
+    fillSet(selectedDiscountBands, 'discount', known(discountBands.map(band => band.key)));
+    filterPanelGroups.forEach(group => fillSet(group.selected, group.param, column(group.column)));
+
+    // Each drill level has to exist under the one above it
+    drillPath = [];
+    params.getAll('drill').slice(0, drillLevels.length).every((value, i) => {
+        const found = data.some(d => d[drillLevels[i]] === value &&
+            drillPath.every((parent, j) => d[drillLevels[j]] === parent));
+        if (found) drillPath.push(value);
+        return found;
+    });
+
+    const from = parseMonthParam(params.get('from') || '');
+    const to = parseMonthParam(params.get('to') || '');
+    selectedDateRange = from && to && from <= to
+        ? [from, d3.timeMonth.offset(to, 1)]
+        : null;
+
+    // The label ends up in tooltips, so only labels the dashboard itself gives a selection
+    const box = (params.get('box') || '').split(',').map(Number);
+    const label = params.get('selection') || '';
+    const knownLabel = ['Brushed orders', 'Density cell', ...scatterPresets.map(preset => preset.label)].includes(label) ||
+        (label.startsWith('Order ') && data.some(d => `Order ${d['Order ID']}` === label));
+    scatterSelection = knownLabel && box.length === 4 && !box.some(isNaN)
+        ? { label, sales: box.slice(0, 2), profit: box.slice(2) }
+        : null;
+    // A density cell is its hexagon, see scatterCell()
+    if (scatterSelection && label === 'Density cell') {
+        const [xType, yType, ...numbers] = (params.get('cell') || '').split(',');
+        const [xCenter, yCenter, xRadius, yRadius] = numbers.map(Number);
+        const valid = Object.hasOwn(scatterScaleTypes, xType) && Object.hasOwn(scatterScaleTypes, yType) &&
+            numbers.length === 4 && [xCenter, yCenter].every(Number.isFinite) && xRadius > 0 && yRadius > 0;
+        scatterSelection = valid
+            ? {
+                ...scatterSelection,
+                cell: {
+                    x: { type: xType, center: xCenter, radius: xRadius },
+                    y: { type: yType, center: yCenter, radius: yRadius }
+                }
+            }
+            : null;
+    }
+
+    tableSearch = (params.get('search') || '').trim().toLowerCase(); // free text, only ever shown as text
+    document.getElementById('table-search').value = tableSearch;
+
+    const [sortColumn, sortDirection] = (params.get('sort') || '').split(':');
+    tableSort = tableColumns.some(c => c.label === sortColumn)
+        ? { column: sortColumn, ascending: sortDirection === 'asc' }
+        : { ...DEFAULT_TABLE_SORT };
+}
+
+window.addEventListener('popstate', () => {
+    if (!data.length) return; // still loading; the initial render reads the URL
+    readUrlState();
+    applyFilters({ pushHistory: false });
+});
+
+// ===============================
+// 8. Shipping Performance - days to ship by Ship Mode (box plots) and over time
+// ===============================
+const shipModeOrder = ['Same Day', 'First Class', 'Second Class', 'Standard Class'];
+const shipModeColor = d3.scaleOrdinal()
+    .domain(shipModeOrder)
+    .range(['#f472b6', '#a78bfa', '#2dd4bf', '#fb923c', '#facc15', '#94a3b8', '#60a5fa']);
+
+// Ship modes in the data, fastest first; others (an imported file's own
+// modes, or its 'Unknown' fallback) follow by name
+function shipModes() {
+    const modes = new Set(data.map(d => d['Ship Mode']));
+    const others = Array.from(modes).filter(mode => !shipModeOrder.includes(mode)).sort(d3.ascending);
+    return [...shipModeOrder.filter(mode => modes.has(mode)), ...others];
+}
+
+// Map color mode for days to ship (per-state average), toggled from this panel
+const shipDaysMetric = {
+    label: 'Avg Days to Ship',
+    value: v => d3.mean(v, d => d.DaysToShip),
+    format: d => `${d3.format('.2f')(d)} days`,
+    tickFormat: d => `${d3.format('.1f')(d)}d`,
+    additive: false,
+    diverging: false,
+    relative: true,   // color from the lowest state average, not from zero
+    color: '#7c3aed'
+};
+
+const shipBoxChart = {};   // scales and layers, built once by createShippingBoxPlot()
+const shipTrendChart = {}; // scales and layers, built once by createShippingTrend()
+
+function updateShippingPanel() {
+    const rows = filterData(['shipMode']); // every mode stays visible, selected ones highlighted
+    const isActive = mode => !selectedShipModes.size || selectedShipModes.has(mode);
+
+    d3.select('#toggle-ship-map')
+        .classed('active', mapColorMode === 'shipDays')
+        .text(mapColorMode === 'shipDays' ? 'Map: days to ship ✓' : 'Map: days to ship');
+
+    updateShippingBoxPlot(rows, isActive);
+    updateShippingTrend(rows, isActive);
+}
+
+function createShippingBoxPlot() {
+    const container = document.querySelector('#shipping-box');
+    const margin = {top: 10, right: 10, bottom: 30, left: 40};
+    const baseWidth = container.clientWidth;
+    const baseHeight = container.clientHeight;
+    const width = baseWidth - margin.left - margin.right;
+    const height = baseHeight - margin.top - margin.bottom;
+
+    const root = d3.select(container);
+    root.selectAll('*').remove();
+
+    const svg = root.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    Object.assign(shipBoxChart, {
+        x: d3.scaleBand().range([0, width]).padding(0.35),
+        y: d3.scaleLinear().range([height, 0]),
+        xAxis: svg.append('g')
+            .attr('class', 'axis')
+            .attr('transform', `translate(0,${height})`),
+        yAxis: svg.append('g')
+            .attr('class', 'axis'),
+        boxLayer: svg.append('g'),
+        message: svg.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .style('fill', '#aaa')
+    });
+}
+
+function updateShippingBoxPlot(rows, isActive) {
+    const { x, y } = shipBoxChart;
+    const t = chartTransition();
+
+    // Five-number summary per ship mode
+    const stats = shipModes().map(mode => {
+        const days = rows.filter(d => d['Ship Mode'] === mode)
+            .map(d => d.DaysToShip)
+            .sort(d3.ascending);
+        if (!days.length) return { mode, n: 0 };
+        return {
+            mode,
+            n: days.length,
+            min: days[0],
+            q1: d3.quantileSorted(days, 0.25),
+            median: d3.quantileSorted(days, 0.5),
+            q3: d3.quantileSorted(days, 0.75),
+            max: days[days.length - 1],
+            mean: d3.mean(days)
+        };
+    }).filter(d => d.n);
+
+    updateDataTable('#shipping-box', 'Days to ship by ship mode', [
+        { label: 'Ship mode', value: d => d.mode },
+        { label: 'Orders', value: d => d3.format(',')(d.n) },
+        { label: 'Median days', value: d => d.median },
+        { label: 'Mean days', value: d => d3.format('.2f')(d.mean) },
+        { label: 'Range', value: d => `${d.min}–${d.max}` }
+    ], stats);
+
+    shipBoxChart.message.text(stats.length ? '' : 'No data for this selection');
+
+    // Scales (the previous domain stays put while there is nothing to show)
+    x.domain(stats.map(d => d.mode));
+    if (stats.length) y.domain([0, d3.max(stats, d => d.max)]).nice();
+
+    shipBoxChart.xAxis
+        .attr('opacity', stats.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisBottom(x));
+
+    shipBoxChart.yAxis
+        .attr('opacity', stats.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y).ticks(4).tickFormat(d => `${d}d`));
+
+    // One group per mode: whisker (min to max), box (Q1 to Q3), median line, mean marker
+    const box = shipBoxChart.boxLayer.selectAll('.ship-box')
+        .data(stats, d => d.mode)
+        .join(
+            enter => {
+                const g = enter.append('g')
+                    .attr('class', 'ship-box')
+                    .attr('transform', d => `translate(${x(d.mode)},0)`)
+                    .attr('opacity', 0);
+                g.append('line')
+                    .attr('class', 'ship-whisker')
+                    .attr('stroke', '#888');
+                g.append('rect')
+                    .attr('class', 'ship-iqr')
+                    .attr('fill-opacity', 0.7);
+                g.append('line')
+                    .attr('class', 'ship-median')
+                    .attr('stroke', 'white')
+                    .attr('stroke-width', 2);
+                g.append('circle')
+                    .attr('class', 'ship-mean')
+                    .attr('r', 3)
+                    .attr('fill', '#0f1219')
+                    .attr('stroke', 'white');
+                return g;
+            },
+            update => update,
+            fadeOut(t)
+        )
+        .style('pointer-events', null)
+        .style('cursor', 'pointer')
+        .on('mouseover', function(event, d) {
+            showTooltip(event, `
+                <strong>${escapeHtml(d.mode)}</strong><br>
+                Orders: ${d3.format(',')(d.n)}<br>
+                Mean: ${d3.format('.2f')(d.mean)} days<br>
+                Median: ${d.median} days (IQR ${d.q1}–${d.q3})<br>
+                Range: ${d.min}–${d.max} days
+            `);
+        })
+        .on('mouseout', hideTooltip)
+        .on('click', function(event, d) {
+            // Select ship mode (shift-click to add/remove)
+            toggleSelection(selectedShipModes, d.mode, event.shiftKey);
+            applyFilters();
+        });
+
+    box.transition(t)
+        .attr('transform', d => `translate(${x(d.mode)},0)`)
+        .attr('opacity', d => isActive(d.mode) ? 1 : 0.3);
+
+    makeFocusable(box, {
+        name: 'ship-modes',
+        key: d => d.mode,
+        label: d => `${d.mode}: median ${d.median} days, mean ${d3.format('.1f')(d.mean)} days, ${d3.format(',')(d.n)} orders`,
+        pressed: d => selectedShipModes.has(d.mode)
+    });
+
+    const center = x.bandwidth() / 2;
+
+    box.select('.ship-whisker')
+        .transition(t)
+        .attr('x1', center)
+        .attr('x2', center)
+        .attr('y1', d => y(d.min))
+        .attr('y2', d => y(d.max));
+
+    // At least 2px high so single-value modes stay visible
+    box.select('.ship-iqr')
+        .attr('fill', d => shipModeColor(d.mode))
+        .attr('stroke', d => shipModeColor(d.mode))
+        .transition(t)
+        .attr('width', x.bandwidth())
+        .attr('y', d => y(d.q3))
+        .attr('height', d => Math.max(2, y(d.q1) - y(d.q3)));
+
+    box.select('.ship-median')
+        .transition(t)
+        .attr('x1', 0)
+        .attr('x2', x.bandwidth())
+        .attr('y1', d => y(d.median))
+        .attr('y2', d => y(d.median));
+
+    box.select('.ship-mean')
+        .transition(t)
+        .attr('cx', center)
+        .attr('cy', d => y(d.mean));
+}
+
+function createShippingTrend() {
+    const container = document.querySelector('#shipping-trend');
+    const baseWidth = container.clientWidth;
+    const narrow = isNarrow(baseWidth);
+    // Room for the legend: on the right, or in a row below the axis on narrow panels
+    const margin = {top: 10, right: narrow ? 15 : 90, bottom: narrow ? 45 : 30, left: 40};
+    const baseHeight = container.clientHeight;
+    const width = baseWidth - margin.left - margin.right;
+    const height = baseHeight - margin.top - margin.bottom;
+
+    const root = d3.select(container);
+    root.selectAll('*').remove();
+
+    const svg = root.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    Object.assign(shipTrendChart, {
+        narrow,
+        x: d3.scaleTime().range([0, width]),
+        y: d3.scaleLinear().range([height, 0]),
+        xAxis: svg.append('g')
+            .attr('class', 'axis')
+            .attr('transform', `translate(0,${height})`),
+        yAxis: svg.append('g')
+            .attr('class', 'axis'),
+        lineLayer: svg.append('g'),
+        dotLayer: svg.append('g'),
+        // Legend (right of the plot, or below it on narrow panels)
+        legend: svg.append('g')
+            .attr('transform', narrow ? `translate(0, ${height + 36})` : `translate(${width + 12}, 4)`),
+        message: svg.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .style('fill', '#aaa')
+    });
+}
+
+function updateShippingTrend(rows, isActive) {
+    const { x, y, narrow } = shipTrendChart;
+    const t = chartTransition();
+
+    // Monthly average days to ship, one line per ship mode
+    const byMode = d3.rollup(
+        rows,
+        v => d3.mean(v, d => d.DaysToShip),
+        d => d['Ship Mode'],
+        d => d.Month
+    );
+
+    const series = shipModes()
+        .filter(mode => byMode.has(mode))
+        .map(mode => ({
+            mode,
+            values: Array.from(byMode.get(mode), ([date, days]) => ({ date, days }))
+                .sort((a, b) => a.date - b.date)
+        }));
+
+    const formatMonth = d3.timeFormat('%B %Y');
+    updateDataTable('#shipping-trend', 'Average days to ship by month', [
+        { label: 'Month', value: time => formatMonth(new Date(time)) },
+        ...series.map(s => ({
+            label: s.mode,
+            value: time => {
+                const days = byMode.get(s.mode).get(new Date(time));
+                return days === undefined ? '–' : d3.format('.2f')(days);
+            }
+        }))
+    ], Array.from(new Set(rows.map(d => +d.Month))).sort(d3.ascending));
+
+    shipTrendChart.message.text(series.length ? '' : 'No data for this selection');
+
+    // Scales (the previous domain stays put while there is nothing to show)
+    const allPoints = series.flatMap(s => s.values);
+    if (series.length) {
+        x.domain(d3.extent(allPoints, d => d.date));
+        y.domain([0, d3.max(allPoints, d => d.days)]).nice();
+    }
+
+    shipTrendChart.xAxis
+        .attr('opacity', series.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisBottom(x).ticks(narrow ? 3 : 5));
+
+    shipTrendChart.yAxis
+        .attr('opacity', series.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y).ticks(narrow ? 3 : 4).tickFormat(d => `${d}d`));
+
+    const line = d3.line()
+        .x(d => x(d.date))
+        .y(d => y(d.days))
+        .curve(d3.curveMonotoneX);
+
+    shipTrendChart.lineLayer.selectAll('.ship-trend')
+        .data(series, s => s.mode)
+        .join(
+            enter => enter.append('path')
+                .attr('class', 'ship-trend')
+                .attr('d', s => line(s.values))
+                .attr('fill', 'none')
+                .attr('opacity', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .attr('stroke', s => shipModeColor(s.mode))
+        .attr('stroke-width', s => isActive(s.mode) ? 2 : 1)
+        .transition(t)
+        .attr('d', s => line(s.values))
+        .attr('opacity', s => isActive(s.mode) ? 1 : 0.25);
+
+    // Invisible hover (and keyboard focus) targets on each monthly point
+    const dots = shipTrendChart.dotLayer.selectAll('.ship-trend-dot')
+        .data(series.flatMap(s => s.values.map(v => ({ ...v, mode: s.mode }))), d => `${d.mode}|${+d.date}`)
+        .join(
+            enter => enter.append('circle')
+                .attr('class', 'ship-trend-dot')
+                .attr('cx', d => x(d.date))
+                .attr('cy', d => y(d.days))
+                .attr('r', 4)
+                .attr('fill', 'transparent'),
+            update => update,
+            exit => exit.remove()
+        )
+        .on('mouseover', function(event, d) {
+            d3.select(this).attr('fill', shipModeColor(d.mode));
+            showTooltip(event, `
+                <strong>${escapeHtml(d.mode)}</strong><br>
+                ${formatMonth(d.date)}<br>
+                Avg days to ship: ${d3.format('.2f')(d.days)}
+            `);
+        })
+        .on('mouseout', function() {
+            d3.select(this).attr('fill', 'transparent');
+            hideTooltip();
+        });
+
+    dots.transition(t)
+        .attr('cx', d => x(d.date))
+        .attr('cy', d => y(d.days));
+
+    makeFocusable(dots, {
+        name: 'ship-trend-dots',
+        key: d => `${d.mode}|${+d.date}`,
+        label: d => `${d.mode}, ${formatMonth(d.date)}: ${d3.format('.2f')(d.days)} days to ship on average`,
+        role: 'img'
+    });
+
+    let legendX = 0;
+    const legendItems = series.map((s, i) => {
+        const position = narrow ? [legendX, 0] : [0, i * 14];
+        legendX += 20 + s.mode.length * 5;
+        return { mode: s.mode, position };
+    });
+
+    shipTrendChart.legend.selectAll('.legend-item')
+        .data(legendItems, d => d.mode)
+        .join(enter => {
+            const g = enter.append('g')
+                .attr('class', 'legend-item');
+
+            g.append('rect')
+                .attr('width', 10)
+                .attr('height', 3)
+                .attr('y', -2)
+                .attr('fill', d => shipModeColor(d.mode));
+
+            g.append('text')
+                .attr('x', 14)
+                .attr('y', 2)
+                .style('font-size', '9px')
+                .style('fill', '#aaa')
+                .text(d => d.mode);
+            return g;
+        })
+        .attr('transform', d => `translate(${d.position})`);
+}
+
+function createShippingControls() {
+    d3.select('#toggle-ship-map').on('click', () => {
+        mapColorMode = mapColorMode === 'shipDays' ? 'metric' : 'shipDays';
+        applyFilters();
+    });
+}
+
+// ===============================
+// 9. Customer Analytics - RFM segmentation, top customers and cohort retention
+// ===============================
+const TOP_N_CUSTOMERS = 10;   // leaderboard rows
+
+// Checked in order, the first matching rule names the customer's RFM segment
+// (r, f, m are 1-5 quintile scores, 5 = most recent / most orders / highest spend)
+const rfmSegments = [
+    { name: 'Champions', test: c => c.r >= 4 && c.f >= 4 && c.m >= 4, color: '#34d399' },
+    { name: 'Loyal', test: c => c.r >= 3 && c.f >= 3, color: '#60a5fa' },
+    { name: 'Promising', test: c => c.r >= 4, color: '#a78bfa' },
+    { name: 'At Risk', test: c => c.f >= 3, color: '#fb923c' },
+    { name: 'Needs Attention', test: c => c.r >= 3, color: '#f472b6' },
+    { name: 'Hibernating', test: () => true, color: '#64748b' }
+];
+const rfmSegmentColor = d3.scaleOrdinal()
+    .domain(rfmSegments.map(s => s.name))
+    .range(rfmSegments.map(s => s.color));
+
+// Per-customer recency (days before the last order date in `rows`), frequency
+// (distinct orders) and monetary value (Sales), scored by quintile
+function computeRfm(rows) {
+    const asOf = d3.timeDay.offset(d3.max(rows, d => d.OrderDate), 1);
+    const customers = d3.groups(rows, d => d['Customer ID']).map(([id, v]) => ({
+        id,
+        name: v[0]['Customer Name'],
+        rows: v,
+        recency: d3.timeDay.count(d3.max(v, d => d.OrderDate), asOf),
+        frequency: new Set(v.map(d => d['Order ID'])).size,
+        monetary: d3.sum(v, d => d.Sales)
+    }));
+
+    const quintile = (key, range) => d3.scaleQuantile()
+        .domain(customers.map(c => c[key]))
+        .range(range);
+    const rScore = quintile('recency', [5, 4, 3, 2, 1]); // fewer days = better
+    const fScore = quintile('frequency', [1, 2, 3, 4, 5]);
+    const mScore = quintile('monetary', [1, 2, 3, 4, 5]);
+
+    customers.forEach(c => {
+        c.r = rScore(c.recency);
+        c.f = fScore(c.frequency);
+        c.m = mScore(c.monetary);
+        c.rfmSegment = rfmSegments.find(s => s.test(c)).name;
+    });
+    return customers;
+}
+
+// Customers scored under every filter but the customer ones, shared by the panel
+// and the `rfm` filter; rescored only when those rows change
+const rfmCache = { rows: null, customers: [], segments: new Map() };
+
+function scoredCustomers() {
+    const rows = filterData(['customer', 'rfm']);
+    if (rfmCache.rows !== rows) {
+        rfmCache.rows = rows;
+        rfmCache.customers = rows.length ? computeRfm(rows) : [];
+        rfmCache.segments = new Map(rfmCache.customers.map(c => [c.id, c.rfmSegment]));
+    }
+    return rfmCache.customers;
+}
+
+// Customer ID → RFM segment name
+function customerRfmSegments() {
+    scoredCustomers();
+    return rfmCache.segments;
+}
+
+const rfmChart = {};         // scales and layers, built once by createRfmSegmentChart()
+const leaderboardChart = {}; // scales and layers, built once by createCustomerLeaderboard()
+const cohortChart = {};      // scales and layers, built once by createCohortRetentionGrid()
+
+function updateCustomerPanel() {
+    // Every customer stays visible, selected ones (and segments) highlighted
+    const customers = scoredCustomers();
+    const isActive = c => (!selectedCustomers.size || selectedCustomers.has(c.id)) &&
+        (!selectedRfmSegments.size || selectedRfmSegments.has(c.rfmSegment));
+    const metric = currentMetric();
+    const selections = selectedCustomers.size + selectedRfmSegments.size;
+
+    d3.select('#customer-analytics h2')
+        .text(`Customer Analytics – RFM Segments, Top ${TOP_N_CUSTOMERS} by ${metric.label}`);
+    d3.select('#clear-customers')
+        .property('hidden', !selections)
+        .text(`Clear customers (${selections})`);
+
+    // Cohorts need each customer's whole history, whatever the date range
+    const histories = d3.group(filterData(['customer', 'rfm', 'dateRange']), d => d['Customer ID']);
+
+    updateRfmSegmentChart(customers);
+    updateCustomerLeaderboard(customers, metric, isActive);
+    updateCohortRetentionGrid(customers, histories);
+}
+
+// Axes, mark layer and empty-state message shared by the customer charts
+function createCustomerChart(chart, selector, margin) {
+    const container = document.querySelector(selector);
+    const width = container.clientWidth - margin.left - margin.right;
+    const height = container.clientHeight - margin.top - margin.bottom;
+
+    const root = d3.select(container);
+    root.selectAll('*').remove();
+
+    const svg = root.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    Object.assign(chart, {
+        plot: svg,
+        width,
+        height,
+        xAxis: svg.append('g')
+            .attr('class', 'axis')
+            .attr('transform', `translate(0,${height})`),
+        yAxis: svg.append('g')
+            .attr('class', 'axis'),
+        markLayer: svg.append('g'),
+        message: svg.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .style('fill', '#aaa')
+    });
+}
+
+function createRfmSegmentChart() {
+    createCustomerChart(rfmChart, '#rfm-segments', {top: 10, right: 40, bottom: 20, left: 100});
+    rfmChart.y = d3.scaleBand().range([0, rfmChart.height]).padding(0.25);
+    rfmChart.x = d3.scaleLinear().range([0, rfmChart.width]);
+}
+
+function updateRfmSegmentChart(customers) {
+    const { x, y } = rfmChart;
+    const t = chartTransition();
+
+    const bySegment = d3.group(customers, c => c.rfmSegment);
+    const segments = rfmSegments
+        .filter(s => bySegment.has(s.name))
+        .map(s => ({ name: s.name, customers: bySegment.get(s.name) }));
+
+    updateDataTable('#rfm-segments', 'Customers by RFM segment', [
+        { label: 'Segment', value: d => d.name },
+        { label: 'Customers', value: d => d3.format(',')(d.customers.length) },
+        { label: 'Avg days since last order', value: d => d3.format('.0f')(d3.mean(d.customers, c => c.recency)) },
+        { label: 'Avg orders', value: d => d3.format('.1f')(d3.mean(d.customers, c => c.frequency)) },
+        { label: 'Avg sales', value: d => formatCurrency(d3.mean(d.customers, c => c.monetary)) }
+    ], segments);
+
+    rfmChart.message.text(customers.length ? '' : 'No data for this selection');
+
+    y.domain(segments.map(d => d.name));
+    if (segments.length) x.domain([0, d3.max(segments, d => d.customers.length)]).nice();
+
+    rfmChart.yAxis
+        .attr('opacity', segments.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y));
+
+    rfmChart.xAxis
+        .attr('opacity', segments.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisBottom(x).ticks(4));
+
+    const isSelected = d => selectedRfmSegments.has(d.name);
+
+    const bars = rfmChart.markLayer.selectAll('.rfm-bar')
+        .data(segments, d => d.name)
+        .join(
+            enter => enter.append('rect')
+                .attr('class', 'rfm-bar')
+                .attr('y', d => y(d.name))
+                .attr('height', y.bandwidth())
+                .attr('width', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .style('pointer-events', null)
+        .attr('fill', d => rfmSegmentColor(d.name))
+        .attr('stroke', d => isSelected(d) ? '#facc15' : 'none')
+        .attr('stroke-width', 2)
+        .style('cursor', 'pointer')
+        .on('mouseover', function(event, d) {
+            showTooltip(event, `
+                <strong>${d.name}</strong><br>
+                Customers: ${d3.format(',')(d.customers.length)}<br>
+                Avg days since last order: ${d3.format('.0f')(d3.mean(d.customers, c => c.recency))}<br>
+                Avg orders: ${d3.format('.1f')(d3.mean(d.customers, c => c.frequency))}<br>
+                Avg sales: ${formatCurrency(d3.mean(d.customers, c => c.monetary))}
+            `);
+        })
+        .on('mouseout', hideTooltip)
+        .on('click', function(event, d) {
+            // Filter by segment (shift-click to add/remove); its members are re-scored with the filters
+            toggleSelection(selectedRfmSegments, d.name, event.shiftKey);
+            applyFilters();
+        });
+
+    bars.transition(t)
+        .attr('y', d => y(d.name))
+        .attr('width', d => x(d.customers.length))
+        .attr('height', y.bandwidth())
+        .attr('opacity', d => !selectedRfmSegments.size || isSelected(d) ? 1 : 0.3);
+
+    makeFocusable(bars, {
+        name: 'rfm-segments',
+        key: d => d.name,
+        label: d => `${d.name}: ${d3.format(',')(d.customers.length)} customers`,
+        pressed: isSelected
+    });
+
+    rfmChart.markLayer.selectAll('.rfm-count')
+        .data(segments, d => d.name)
+        .join(
+            enter => enter.append('text')
+                .attr('class', 'rfm-count')
+                .attr('x', 4)
+                .attr('y', d => y(d.name) + y.bandwidth() / 2)
+                .attr('dy', '0.35em')
+                .style('font-size', '9px')
+                .style('fill', '#aaa'),
+            update => update,
+            fadeOut(t)
+        )
+        .text(d => d3.format(',')(d.customers.length))
+        .transition(t)
+        .attr('x', d => x(d.customers.length) + 4)
+        .attr('y', d => y(d.name) + y.bandwidth() / 2)
+        .attr('opacity', 1);
+}
+
+function createCustomerLeaderboard() {
+    createCustomerChart(leaderboardChart, '#customer-leaderboard', {top: 10, right: 10, bottom: 20, left: 110});
+    leaderboardChart.y = d3.scaleBand().range([0, leaderboardChart.height]).padding(0.2);
+    leaderboardChart.x = d3.scaleLinear().range([0, leaderboardChart.width]);
+}
+
+function updateCustomerLeaderboard(customers, metric, isActive) {
+    const { x, y } = leaderboardChart;
+    const t = chartTransition();
+
+    const leaders = customers
+        .map(c => ({ ...c, value: metric.value(c.rows) }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, TOP_N_CUSTOMERS);
+
+    updateDataTable('#customer-leaderboard', `Top ${TOP_N_CUSTOMERS} customers by ${metric.label}`, [
+        { label: 'Customer', value: d => d.name },
+        { label: 'Segment', value: d => d.rfmSegment },
+        { label: metric.label, value: d => metric.format(d.value) },
+        { label: 'Orders', value: d => d.frequency }
+    ], leaders);
+
+    leaderboardChart.message.text(customers.length ? '' : 'No data for this selection');
+
+    y.domain(leaders.map(d => d.id));
+    if (leaders.length) x.domain(d3.extent([0, ...leaders.map(d => d.value)])).nice();
+
+    const nameById = new Map(leaders.map(d => [d.id, d.name]));
+    leaderboardChart.yAxis
+        .attr('opacity', leaders.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y).tickFormat(id => {
+            const name = nameById.get(id) || '';
+            return name.length > 16 ? name.slice(0, 15) + '…' : name;
+        }));
+
+    leaderboardChart.xAxis
+        .attr('opacity', leaders.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisBottom(x).ticks(4).tickFormat(metric.tickFormat));
+
+    const bars = leaderboardChart.markLayer.selectAll('.leader-bar')
+        .data(leaders, d => d.id)
+        .join(
+            enter => enter.append('rect')
+                .attr('class', 'leader-bar')
+                .attr('x', x(0))
+                .attr('y', d => y(d.id))
+                .attr('width', 0)
+                .attr('height', y.bandwidth()),
+            update => update,
+            fadeOut(t)
+        )
+        .style('pointer-events', null)
+        .attr('fill', d => rfmSegmentColor(d.rfmSegment))
+        .attr('stroke', d => selectedCustomers.has(d.id) ? '#facc15' : 'none')
+        .attr('stroke-width', 2)
+        .style('cursor', 'pointer')
+        .on('mouseover', function(event, d) {
+            showTooltip(event, `
+                <strong>${escapeHtml(d.name)}</strong><br>
+                ${escapeHtml(d.id)} · ${d.rfmSegment} (RFM ${d.r}${d.f}${d.m})<br>
+                ${metric.label}: ${metric.format(d.value)}<br>
+                Orders: ${d.frequency}<br>
+                Last order: ${d.recency} days before the latest date
+            `);
+        })
+        .on('mouseout', hideTooltip)
+        .on('click', function(event, d) {
+            // Select customer (shift-click to add/remove)
+            toggleSelection(selectedCustomers, d.id, event.shiftKey);
+            applyFilters();
+        });
+
+    bars.transition(t)
+        .attr('x', d => x(Math.min(0, d.value)))
+        .attr('y', d => y(d.id))
+        .attr('width', d => Math.abs(x(d.value) - x(0)))
+        .attr('height', y.bandwidth())
+        .attr('opacity', d => isActive(d) ? 1 : 0.3);
+
+    makeFocusable(bars, {
+        name: 'customers',
+        key: d => d.id,
+        label: d => `${d.name}, ${d.rfmSegment}: ${metric.label} ${metric.format(d.value)}, ${d.frequency} orders`,
+        pressed: d => selectedCustomers.has(d.id)
+    });
+}
+
+function createCohortRetentionGrid() {
+    createCustomerChart(cohortChart, '#cohort-retention', {top: 10, right: 10, bottom: 30, left: 55});
+    const { plot, width, height } = cohortChart;
+    cohortChart.x = d3.scaleBand().range([0, width]).padding(0.05);
+    cohortChart.y = d3.scaleBand().range([0, height]).padding(0.05);
+    cohortChart.xLabel = plot.append('text')
+        .attr('x', width / 2)
+        .attr('y', height + 26)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '9px')
+        .style('fill', '#aaa')
+        .text('Months since first order');
+}
+
+// Share of each first-order-month cohort that ordered again N months later.
+// `histories` holds each customer's rows over the whole timeline, so the first
+// order month (and the months after it) don't move with the date range
+function updateCohortRetentionGrid(customers, histories) {
+    const { x, y } = cohortChart;
+    const t = chartTransition();
+
+    const history = c => histories.get(c.id) || c.rows;
+    const lastMonth = d3.timeMonth(d3.max(customers, c => d3.max(history(c), d => d.OrderDate)));
+    const cohorts = d3.groups(customers, c => +d3.timeMonth(d3.min(history(c), d => d.OrderDate)))
+        .map(([time, members]) => {
+            const cohort = new Date(time);
+            // Months after the first order in which each customer ordered
+            const active = members.map(c => new Set(
+                history(c).map(d => d3.timeMonth.count(cohort, d.OrderDate))
+            ));
+            const span = d3.timeMonth.count(cohort, lastMonth);
+            return {
+                cohort,
+                size: members.length,
+                cells: d3.range(span + 1).map(offset => {
+                    const retained = d3.sum(active, months => months.has(offset) ? 1 : 0);
+                    return { cohort, offset, retained, size: members.length, rate: retained / members.length };
+                })
+            };
+        })
+        .sort((a, b) => a.cohort - b.cohort);
+
+    const tableOffsets = [1, 3, 6, 12];
+    updateDataTable('#cohort-retention', 'Share of each first-order cohort ordering again N months later', [
+        { label: 'Cohort', value: d => d3.timeFormat('%B %Y')(d.cohort) },
+        { label: 'Customers', value: d => d.size },
+        ...tableOffsets.map(offset => ({
+            label: `Month ${offset}`,
+            value: d => d.cells[offset] ? d3.format('.0%')(d.cells[offset].rate) : '–'
+        }))
+    ], cohorts);
+
+    cohortChart.message.text(customers.length ? '' : 'No data for this selection');
+    cohortChart.xLabel.attr('opacity', customers.length ? 1 : 0);
+
+    const maxOffset = d3.max(cohorts, d => d.cells.length - 1);
+    x.domain(d3.range(maxOffset + 1));
+    y.domain(cohorts.map(d => +d.cohort));
+
+    // Month 0 is always 100%, so the color scale covers the later months
+    const laterCells = cohorts.flatMap(d => d.cells.slice(1));
+    const color = d3.scaleSequential(d3.interpolateBlues)
+        .domain([0, d3.max(laterCells, d => d.rate) || 1])
+        .clamp(true);
+
+    const every = n => (_, i) => i % n === 0;
+    cohortChart.yAxis
+        .attr('opacity', cohorts.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y)
+            .tickValues(y.domain().filter(every(Math.ceil(cohorts.length / 8))))
+            .tickFormat(d => d3.timeFormat('%b %Y')(new Date(d))));
+
+    cohortChart.xAxis
+        .attr('opacity', cohorts.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisBottom(x).tickValues(x.domain().filter(every(6))));
+
+    const formatMonth = d3.timeFormat('%B %Y');
+    const cells = cohortChart.markLayer.selectAll('.cohort-cell')
+        .data(cohorts.flatMap(d => d.cells), d => `${+d.cohort}|${d.offset}`)
+        .join(
+            enter => enter.append('rect')
+                .attr('class', 'cohort-cell')
+                .attr('x', d => x(d.offset))
+                .attr('y', d => y(+d.cohort))
+                .attr('width', x.bandwidth())
+                .attr('height', y.bandwidth())
+                .attr('opacity', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .style('pointer-events', null)
+        .on('mouseover', function(event, d) {
+            showTooltip(event, `
+                <strong>${formatMonth(d.cohort)} cohort</strong><br>
+                Month ${d.offset}: ${formatMonth(d3.timeMonth.offset(d.cohort, d.offset))}<br>
+                Ordered again: ${d.retained} of ${d.size} (${d3.format('.0%')(d.rate)})
+            `);
+        })
+        .on('mouseout', hideTooltip);
+
+    cells.transition(t)
+        .attr('x', d => x(d.offset))
+        .attr('y', d => y(+d.cohort))
+        .attr('width', x.bandwidth())
+        .attr('height', y.bandwidth())
+        .attr('fill', d => d.offset === 0 ? '#2a3545' : color(d.rate))
+        .attr('opacity', 1);
+
+    // Cells have no action: focus only reads them out (and shows the tooltip)
+    makeFocusable(cells, {
+        name: 'cohort-cells',
+        key: d => `${+d.cohort}|${d.offset}`,
+        label: d => `${formatMonth(d.cohort)} cohort, month ${d.offset}: ` +
+            `${d.retained} of ${d.size} ordered again (${d3.format('.0%')(d.rate)})`,
+        role: 'img'
+    });
+}
+
+function createCustomerControls() {
+    d3.select('#clear-customers').on('click', () => {
+        selectedCustomers.clear();
+        selectedRfmSegments.clear();
+        applyFilters();
+    });
+}
+
+// ===============================
+// 10. Discount Impact - profit margin by discount band per category and
+// sub-category, with the discount at which each starts losing money
+// ===============================
+// Superstore discounts come in steps (0, 10, 15, 20, 30, 32, 40, 45, 50, 60, 70, 80%)
+const discountBands = [
+    { key: '0', label: '0%', max: 0 },
+    { key: '10', label: '1–10%', max: 0.1 },
+    { key: '20', label: '11–20%', max: 0.2 },
+    { key: '30', label: '21–30%', max: 0.3 },
+    { key: '40', label: '31–40%', max: 0.4 },
+    { key: '50', label: '41–50%', max: 0.5 },
+    { key: '80', label: '51%+', max: Infinity }
+];
+const discountBandLabel = new Map(discountBands.map(b => [b.key, b.label]));
+
+function discountBand(discount) {
+    return discountBands.find(band => discount <= band.max + 1e-9).key;
+}
+
+// Margin and average discount per band; bands without orders are skipped
+function marginByBand(rows) {
+    const byBand = d3.group(rows, d => d.DiscountBand);
+    return discountBands
+        .filter(band => byBand.has(band.key))
+        .map(band => {
+            const v = byBand.get(band.key);
+            return {
+                band: band.key,
+                label: band.label,
+                discount: d3.mean(v, d => d.Discount),
+                margin: metrics.Margin.value(v),
+                sales: d3.sum(v, d => d.Sales),
+                profit: d3.sum(v, d => d.Profit),
+                count: v.length
+            };
+        });
+}
+
+// Discount where margin first turns negative, interpolated between band averages;
+// the first band's discount when that band already loses money (0 for the 0% band),
+// null when it never does
+function breakEvenDiscount(points) {
+    const i = points.findIndex(p => p.margin < 0);
+    if (i === -1) return null;
+    if (i === 0) return points[0].band === '0' ? 0 : points[0].discount;
+    const [a, b] = [points[i - 1], points[i]];
+    return a.discount + (b.discount - a.discount) * a.margin / (a.margin - b.margin);
+}
+
+// Without a 0% band, losing money in the first band only says so much
+function formatBreakEven(discount, points) {
+    if (discount === null) return 'profitable at every discount';
+    if (points[0].margin < 0) {
+        return points[0].band === '0'
+            ? 'loses money undiscounted'
+            : `loses money at its lowest discount (~${d3.format('.0%')(discount)})`;
+    }
+    return `loses money from ~${d3.format('.0%')(discount)}`;
+}
+
+const discountMarginChart = {}; // scales and layers, built once by createDiscountMarginChart()
+const breakEvenGridChart = {};  // scales and layers, built once by createDiscountBreakEvenGrid()
+
+function updateDiscountPanel() {
+    const rows = filterData(['discount']); // every band stays visible, selected ones highlighted
+    const isActive = band => !selectedDiscountBands.size || selectedDiscountBands.has(band);
+
+    d3.select('#clear-discount')
+        .property('hidden', !selectedDiscountBands.size);
+
+    updateDiscountMarginChart(rows, isActive);
+    updateDiscountBreakEvenGrid(rows, isActive);
+}
+
+function onDiscountBandClick(event, d) {
+    // Select discount band (shift-click to add/remove)
+    toggleSelection(selectedDiscountBands, d.band, event.shiftKey);
+    hideTooltip();
+    applyFilters();
+}
+
+function discountTooltip(title, d) {
+    return `
+        <strong>${escapeHtml(title)}</strong><br>
+        Discount ${d.label} (avg ${d3.format('.0%')(d.discount)})<br>
+        Margin: ${metrics.Margin.format(d.margin)}<br>
+        Sales: ${formatCurrency(d.sales)} · Profit: ${formatCurrency(d.profit)}<br>
+        Line items: ${d3.format(',')(d.count)}
+    `;
+}
+
+function createDiscountMarginChart() {
+    const container = document.querySelector('#discount-margin');
+    const margin = {top: 10, right: 15, bottom: 30, left: 45};
+    const width = container.clientWidth - margin.left - margin.right;
+    const height = container.clientHeight - margin.top - margin.bottom;
+
+    const root = d3.select(container);
+    root.selectAll('*').remove();
+
+    const svg = root.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    Object.assign(discountMarginChart, {
+        x: d3.scaleLinear().range([0, width]),
+        y: d3.scaleLinear().range([height, 0]),
+        xAxis: svg.append('g')
+            .attr('class', 'axis')
+            .attr('transform', `translate(0,${height})`),
+        yAxis: svg.append('g')
+            .attr('class', 'axis'),
+        // Break-even line
+        zeroLine: svg.append('line')
+            .attr('x1', 0)
+            .attr('x2', width)
+            .attr('stroke', '#666')
+            .attr('stroke-dasharray', '3,3')
+            .attr('opacity', 0),
+        lineLayer: svg.append('g'),
+        dotLayer: svg.append('g'),
+        breakEvenLayer: svg.append('g'),
+        // Legend (top right)
+        legend: svg.append('g')
+            .attr('transform', `translate(${width - 90}, 4)`),
+        message: svg.append('text')
+            .attr('x', width / 2)
+            .attr('y', height / 2)
+            .attr('text-anchor', 'middle')
+            .style('fill', '#aaa')
+    });
+}
+
+// Margin vs average discount, one line per category, break-even diamonds on the zero line
+function updateDiscountMarginChart(rows, isActive) {
+    const { x, y } = discountMarginChart;
+    const t = chartTransition();
+
+    const series = d3.groups(rows, d => d.Category)
+        .map(([category, v]) => {
+            const points = marginByBand(v);
+            return { category, points, breakEven: breakEvenDiscount(points) };
+        })
+        .sort((a, b) => d3.ascending(a.category, b.category));
+
+    updateDataTable('#discount-margin', 'Profit margin by discount band and category', [
+        { label: 'Category', value: d => d.category },
+        { label: 'Discount band', value: d => d.label },
+        { label: 'Margin', value: d => metrics.Margin.format(d.margin) },
+        { label: 'Line items', value: d => d3.format(',')(d.count) }
+    ], series.flatMap(s => s.points.map(p => ({ ...p, category: s.category }))));
+
+    discountMarginChart.message.text(series.length ? '' : 'No data for this selection');
+
+    // Scales (the previous domain stays put while there is nothing to show)
+    const allPoints = series.flatMap(s => s.points);
+    if (series.length) {
+        x.domain([0, d3.max(allPoints, d => d.discount) || 0.1]).nice();
+        y.domain(d3.extent([0, ...allPoints.map(d => d.margin)])).nice();
+    }
+
+    discountMarginChart.xAxis
+        .attr('opacity', series.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('.0%')));
+
+    discountMarginChart.yAxis
+        .attr('opacity', series.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y).ticks(4).tickFormat(metrics.Margin.tickFormat));
+
+    discountMarginChart.zeroLine
+        .transition(t)
+        .attr('y1', y(0))
+        .attr('y2', y(0))
+        .attr('opacity', series.length ? 1 : 0);
+
+    const line = d3.line()
+        .x(d => x(d.discount))
+        .y(d => y(d.margin));
+
+    discountMarginChart.lineLayer.selectAll('.discount-line')
+        .data(series, s => s.category)
+        .join(
+            enter => enter.append('path')
+                .attr('class', 'discount-line')
+                .attr('d', s => line(s.points))
+                .attr('fill', 'none')
+                .attr('stroke-width', 2)
+                .attr('opacity', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .attr('stroke', s => categoryColor(s.category))
+        .transition(t)
+        .attr('d', s => line(s.points))
+        .attr('opacity', 1);
+
+    const dots = discountMarginChart.dotLayer.selectAll('.discount-dot')
+        .data(series.flatMap(s => s.points.map(p => ({ ...p, category: s.category }))), d => `${d.category}|${d.band}`)
+        .join(
+            enter => enter.append('circle')
+                .attr('class', 'discount-dot')
+                .attr('cx', d => x(d.discount))
+                .attr('cy', d => y(d.margin))
+                .attr('r', 3.5)
+                .attr('opacity', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .style('pointer-events', null)
+        .attr('fill', d => categoryColor(d.category))
+        .attr('stroke', d => selectedDiscountBands.has(d.band) ? '#facc15' : 'white')
+        .attr('stroke-width', d => selectedDiscountBands.has(d.band) ? 2 : 1)
+        .style('cursor', 'pointer')
+        .on('mouseover', (event, d) => showTooltip(event, discountTooltip(d.category, d)))
+        .on('mouseout', hideTooltip)
+        .on('click', onDiscountBandClick);
+
+    dots.transition(t)
+        .attr('cx', d => x(d.discount))
+        .attr('cy', d => y(d.margin))
+        .attr('opacity', d => isActive(d.band) ? 1 : 0.35);
+
+    makeFocusable(dots, {
+        name: 'discount-dots',
+        key: d => `${d.category}|${d.band}`,
+        label: d => `${d.category}, discount ${d.label}: margin ${metrics.Margin.format(d.margin)}`,
+        pressed: d => selectedDiscountBands.has(d.band)
+    });
+
+    discountMarginChart.breakEvenLayer.selectAll('.break-even')
+        .data(series.filter(s => s.breakEven !== null), s => s.category)
+        .join(
+            enter => enter.append('path')
+                .attr('class', 'break-even')
+                .attr('transform', s => `translate(${x(s.breakEven)},${y(0)})`)
+                .attr('d', d3.symbol(d3.symbolDiamond, 60))
+                .attr('stroke', 'white')
+                .attr('opacity', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .style('pointer-events', null)
+        .attr('fill', s => categoryColor(s.category))
+        .on('mouseover', (event, s) => showTooltip(event, `
+            <strong>${escapeHtml(s.category)}</strong><br>
+            Break-even: ${formatBreakEven(s.breakEven, s.points)}
+        `))
+        .on('mouseout', hideTooltip)
+        .transition(t)
+        .attr('transform', s => `translate(${x(s.breakEven)},${y(0)})`)
+        .attr('opacity', 1);
+
+    discountMarginChart.legend.selectAll('.legend-item')
+        .data(series, s => s.category)
+        .join(enter => {
+            const g = enter.append('g')
+                .attr('class', 'legend-item');
+
+            g.append('rect')
+                .attr('width', 10)
+                .attr('height', 3)
+                .attr('y', -2)
+                .attr('fill', s => categoryColor(s.category));
+
+            g.append('text')
+                .attr('x', 14)
+                .attr('y', 2)
+                .style('font-size', '9px')
+                .style('fill', '#aaa')
+                .text(s => s.category);
+            return g;
+        })
+        .attr('transform', (_, i) => `translate(0, ${i * 12})`);
+}
+
+function createDiscountBreakEvenGrid() {
+    const container = document.querySelector('#discount-breakeven');
+    const margin = {top: 10, right: 150, bottom: 30, left: 90}; // right margin for break-even text
+    const width = container.clientWidth - margin.left - margin.right;
+    const height = container.clientHeight - margin.top - margin.bottom;
+
+    const root = d3.select(container);
+    root.selectAll('*').remove();
+
+    const svg = root.append('g')
+        .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    Object.assign(breakEvenGridChart, {
+        width,
+        x: d3.scaleBand()
+            .domain(discountBands.map(b => b.key))
+            .range([0, width])
+            .padding(0.05),
+        y: d3.scaleBand().range([0, height]).padding(0.08),
+        xAxis: svg.append('g')
+            .attr('class', 'axis')
+            .attr('transform', `translate(0,${height})`),
+        yAxis: svg.append('g')
+            .attr('class', 'axis'),
+        cellLayer: svg.append('g'),
+        labelLayer: svg.append('g')
+    });
+}
+
+// Sub-category × discount band margin grid, earliest money-losers first;
+// the first losing band in each row is outlined
+function updateDiscountBreakEvenGrid(rows, isActive) {
+    const { width, x, y } = breakEvenGridChart;
+    const t = chartTransition();
+
+    const subCategories = d3.groups(rows, d => d['Sub-Category'])
+        .map(([name, v]) => {
+            const points = marginByBand(v);
+            return { name, category: v[0].Category, points, breakEven: breakEvenDiscount(points) };
+        })
+        .sort((a, b) => d3.ascending(a.breakEven === null ? Infinity : a.breakEven,
+            b.breakEven === null ? Infinity : b.breakEven));
+
+    const marginIn = (d, band) => {
+        const point = d.points.find(p => p.band === band.key);
+        return point ? metrics.Margin.format(point.margin) : '–';
+    };
+    updateDataTable('#discount-breakeven', 'Profit margin by sub-category and discount band', [
+        { label: 'Sub-category', value: d => d.name },
+        ...discountBands.map(band => ({ label: band.label, value: d => marginIn(d, band) })),
+        { label: 'Break-even', value: d => formatBreakEven(d.breakEven, d.points) }
+    ], subCategories);
+
+    y.domain(subCategories.map(d => d.name));
+
+    // Margins beyond ±50% all read as "very good" / "very bad"
+    const color = d3.scaleDiverging(d3.interpolateRdBu)
+        .domain([-0.5, 0, 0.5])
+        .clamp(true);
+
+    breakEvenGridChart.xAxis
+        .attr('opacity', subCategories.length ? 1 : 0)
+        .call(d3.axisBottom(x).tickFormat(key => discountBandLabel.get(key)));
+
+    breakEvenGridChart.yAxis
+        .attr('opacity', subCategories.length ? 1 : 0)
+        .transition(t)
+        .call(d3.axisLeft(y));
+
+    // Sub-category labels drill the bar chart into that sub-category
+    const byName = new Map(subCategories.map(d => [d.name, d]));
+    const ticks = breakEvenGridChart.yAxis.selectAll('.tick')
+        .filter(name => byName.has(name))
+        .style('cursor', 'pointer')
+        .on('click', function(_, name) {
+            const sub = byName.get(name);
+            drillPath = [sub.category, sub.name];
+            selectedCategories.clear();
+            applyFilters();
+        });
+
+    makeFocusable(ticks, {
+        name: 'discount-subcategories',
+        key: name => name,
+        label: name => `Show ${name} in the bar chart`,
+        pressed: name => drillPath.length > 1 && drillPath[1] === name
+    });
+
+    const cells = subCategories.flatMap(s => {
+        const firstLoss = s.points.find(p => p.margin < 0);
+        return s.points.map(p => ({ ...p, name: s.name, firstLoss: p === firstLoss }));
+    });
+
+    const cellMarks = breakEvenGridChart.cellLayer.selectAll('.discount-cell')
+        .data(cells, d => `${d.name}|${d.band}`)
+        .join(
+            enter => enter.append('rect')
+                .attr('class', 'discount-cell')
+                .attr('x', d => x(d.band))
+                .attr('y', d => y(d.name))
+                .attr('width', x.bandwidth())
+                .attr('height', y.bandwidth())
+                .attr('stroke-width', 2)
+                .attr('opacity', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .style('pointer-events', null)
+        .attr('stroke', d => selectedDiscountBands.has(d.band) ? '#facc15' : d.firstLoss ? '#0f1219' : 'none')
+        .style('cursor', 'pointer')
+        .on('mouseover', (event, d) => showTooltip(event, discountTooltip(d.name, d)))
+        .on('mouseout', hideTooltip)
+        .on('click', onDiscountBandClick);
+
+    cellMarks.transition(t)
+        .attr('x', d => x(d.band))
+        .attr('y', d => y(d.name))
+        .attr('width', x.bandwidth())
+        .attr('height', y.bandwidth())
+        .attr('fill', d => color(d.margin))
+        .attr('opacity', d => isActive(d.band) ? 1 : 0.35);
+
+    makeFocusable(cellMarks, {
+        name: 'discount-cells',
+        key: d => `${d.name}|${d.band}`,
+        label: d => `${d.name}, discount ${d.label}: margin ${metrics.Margin.format(d.margin)}`,
+        pressed: d => selectedDiscountBands.has(d.band)
+    });
+
+    breakEvenGridChart.labelLayer.selectAll('.break-even-label')
+        .data(subCategories, d => d.name)
+        .join(
+            enter => enter.append('text')
+                .attr('class', 'break-even-label')
+                .attr('x', width + 6)
+                .attr('y', d => y(d.name) + y.bandwidth() / 2)
+                .attr('dy', '0.35em')
+                .style('font-size', '9px')
+                .attr('opacity', 0),
+            update => update,
+            fadeOut(t)
+        )
+        .style('fill', d => d.breakEven === null ? '#60a5fa' : '#f87171')
+        .text(d => formatBreakEven(d.breakEven, d.points))
+        .transition(t)
+        .attr('y', d => y(d.name) + y.bandwidth() / 2)
+        .attr('opacity', 1);
+}
+
+function createDiscountControls() {
+    d3.select('#clear-discount').on('click', () => {
+        selectedDiscountBands.clear();
+        applyFilters();
+    });
+}
+
+// ===============================
+// 11. CSV Import - drag & drop or pick a local CSV of the same shape, map its
+// columns to the fields the charts use (mapping remembered in localStorage)
+// ===============================
+const MAPPING_STORAGE_KEY = 'superstore-column-mapping';
+
+// Fields the dashboard reads, in Superstore header order. Unmapped optional
+// fields get the fallback value (filled after every mapped field is copied).
+const columnRoles = [
+    { name: 'Row ID', fallback: (row, i) => String(i + 1) },
+    { name: 'Order ID', required: true },
+    { name: 'Order Date', required: true },
+    { name: 'Ship Date', fallback: row => row['Order Date'] },
+    { name: 'Ship Mode', fallback: () => 'Unknown' },
+    { name: 'Customer ID', fallback: row => row['Customer Name'] || 'Unknown' },
+    { name: 'Customer Name', fallback: () => 'Unknown' },
+    { name: 'Segment', fallback: () => 'Unknown' },
+    { name: 'City', fallback: () => 'Unknown' },
+    { name: 'State', required: true },
+    { name: 'Postal Code', fallback: () => '' },
+    { name: 'Region', fallback: () => 'Unknown' },
+    { name: 'Category', required: true },
+    { name: 'Sub-Category', fallback: row => row.Category },
+    { name: 'Product Name', fallback: () => 'Unknown' },
+    { name: 'Sales', required: true },
+    { name: 'Quantity', fallback: () => '0' },
+    { name: 'Discount', fallback: () => '0' },
+    { name: 'Profit', required: true }
+];
+
+// Date formats offered in the dialog; the first that parses every Order Date is preselected
+const dateFormatChoices = [
+    { format: '%d-%m-%Y', label: 'DD-MM-YYYY' },
+    { format: '%m/%d/%Y', label: 'MM/DD/YYYY' },
+    { format: '%-m/%-d/%Y', label: 'M/D/YYYY' },
+    { format: '%d/%m/%Y', label: 'DD/MM/YYYY' },
+    { format: '%-d/%-m/%Y', label: 'D/M/YYYY' },
+    { format: '%Y-%m-%d', label: 'YYYY-MM-DD' }
+];
+
+let pendingImport = null; // { name, rows } parsed file waiting for its column mapping
+
+function loadSavedMapping() {
+    try {
+        return JSON.parse(localStorage.getItem(MAPPING_STORAGE_KEY));
+    } catch (err) {
+        return null; // storage blocked or corrupt, fall back to matching by name
+    }
+}
+
+function saveMapping(mapping) {
+    try {
+        localStorage.setItem(MAPPING_STORAGE_KEY, JSON.stringify(mapping));
+    } catch (err) {
+        console.warn('CSV IMPORT: could not save the column mapping', err);
+    }
+}
+
+function guessDateFormat(rows, column, preferred) {
+    const values = rows.map(d => (d[column] || '').trim()).filter(Boolean);
+    const parsesAll = format => {
+        const parse = d3.timeParse(format);
+        const formatDate = d3.timeFormat(format);
+        return values.length > 0 && values.every(value => {
+            const date = parse(value);
+            return date && formatDate(date) === value;
+        });
+    };
+    if (preferred && parsesAll(preferred)) return preferred;
+    const match = dateFormatChoices.find(choice => parsesAll(choice.format));
+    return match ? match.format : loaderConfig.dateFormat;
+}
+
+// Rows keyed by the dashboard's field names, whatever the file called them
+function applyColumnMapping(rawRows, columns) {
+    return rawRows.map((raw, i) => {
+        const row = {};
+        columnRoles.forEach(role => {
+            if (columns[role.name]) row[role.name] = raw[columns[role.name]];
+        });
+        columnRoles.forEach(role => {
+            if (!columns[role.name]) row[role.name] = role.fallback(row, i);
+        });
+        return row;
+    });
+}
+
+function readImportFile(file) {
+    if (!file) return;
+    console.log('📂 CSV IMPORT: Reading', file.name);
+
+    file.text()
+        .then(text => {
+            const rows = d3.csvParse(text);
+            if (!rows.length) throw new Error('no data rows');
+            pendingImport = { name: file.name, rows };
+            openMappingDialog();
+        })
+        .catch(err => {
+            console.error('CSV IMPORT error:', err);
+            d3.select('#load-report').classed('has-rejects', true)
+                .select('summary').text(`Could not read ${file.name}: ${err.message}`);
+        });
+}
+
+function openMappingDialog() {
+    const { name, rows } = pendingImport;
+    const saved = loadSavedMapping() || { columns: {} };
+
+    // Saved mapping first, then a column with the same name
+    const initial = {};
+    columnRoles.forEach(role => {
+        const savedColumn = saved.columns[role.name];
+        initial[role.name] = rows.columns.includes(savedColumn)
+            ? savedColumn
+            : rows.columns.find(c => c.trim().toLowerCase() === role.name.toLowerCase()) || '';
+    });
+
+    d3.select('#mapping-file').text(name);
+    d3.select('#mapping-error').property('hidden', true);
+
+    const fields = d3.select('#mapping-fields')
+        .selectAll('.mapping-row')
+        .data(columnRoles)
+        .join(enter => {
+            const row = enter.append('label').attr('class', 'mapping-row');
+            row.append('span');
+            row.append('select');
+            return row;
+        });
+
+    fields.select('span')
+        .text(role => role.required ? `${role.name} *` : role.name);
+
+    fields.select('select')
+        .on('change', function(_, role) {
+            if (role.name === 'Order Date') updateDateFormatChoice(this.value);
+        })
+        .selectAll('option')
+        .data(['', ...rows.columns])
+        .join('option')
+        .attr('value', d => d)
+        .text(d => d || '— not in file —');
+
+    fields.select('select').property('value', role => initial[role.name]);
+
+    d3.select('#mapping-date-format')
+        .selectAll('option')
+        .data(dateFormatChoices)
+        .join('option')
+        .attr('value', d => d.format)
+        .text(d => d.label);
+    updateDateFormatChoice(initial['Order Date'], saved.dateFormat);
+
+    d3.select('#mapping-modal').classed('hidden', false);
+}
+
+function updateDateFormatChoice(column, preferred) {
+    if (!column) return;
+    d3.select('#mapping-date-format')
+        .property('value', guessDateFormat(pendingImport.rows, column, preferred));
+}
+
+function closeMappingDialog() {
+    d3.select('#mapping-modal').classed('hidden', true);
+    pendingImport = null;
+}
+
+function confirmMapping() {
+    const columns = {};
+    d3.selectAll('#mapping-fields select').each(function(role) {
+        columns[role.name] = this.value;
+    });
+
+    const missing = columnRoles.filter(role => role.required && !columns[role.name]);
+    if (missing.length) {
+        d3.select('#mapping-error')
+            .property('hidden', false)
+            .text(`Choose a column for ${missing.map(role => role.name).join(', ')}`);
+        return;
+    }
+
+    const dateFormat = d3.select('#mapping-date-format').property('value');
+    const { name, rows } = pendingImport;
+    const loaded = setDataset(applyColumnMapping(rows, columns), columnRoles.map(role => role.name),
+        { dateFormat }, name);
+
+    // Nothing parsed: keep the current data and the dialog open to fix the mapping
+    if (!loaded.rows.length) {
+        const [reason] = d3.greatest(d3.groups(loaded.rejected, d => d.reason), ([, v]) => v.length) || ['the file is empty'];
+        d3.select('#mapping-error')
+            .property('hidden', false)
+            .text(`No row could be loaded (${reason}). Check the columns and date format.`);
+        return;
+    }
+    saveMapping({ columns, dateFormat });
+    closeMappingDialog();
+
+    // New data: selections from the old file no longer apply
+    readUrlState('');
+    applyFilters({ pushHistory: false });
+}
+
+function createImportControls() {
+    const fileInput = document.getElementById('import-file');
+
+    d3.select('#import-csv').on('click', () => fileInput.click());
+    d3.select(fileInput).on('change', () => {
+        readImportFile(fileInput.files[0]);
+        fileInput.value = ''; // picking the same file again still fires change
+    });
+
+    d3.select('#mapping-load').on('click', confirmMapping);
+    d3.select('#mapping-cancel').on('click', closeMappingDialog);
+    d3.select('#mapping-modal').on('click', event => {
+        if (event.target.id === 'mapping-modal') closeMappingDialog();
+    });
+    document.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && pendingImport) closeMappingDialog();
+    });
+
+    // Drop a CSV anywhere on the page
+    d3.select(document)
+        .on('dragover', event => {
+            event.preventDefault();
+            document.body.classList.add('dragging');
+        })
+        .on('dragleave', event => {
+            if (!event.relatedTarget) document.body.classList.remove('dragging');
+        })
+        .on('drop', event => {
+            event.preventDefault();
+            document.body.classList.remove('dragging');
+            readImportFile(event.dataTransfer.files[0]);
+        });
+}
+
+// ===============================
+// 12. Export & Print Report - per-chart SVG / PNG downloads, and a report
+// layout with the active filters (headline KPIs come from the header strip)
+// ===============================
+// Styles copied from the page onto every exported element (style.css doesn't
+// travel with the file, and the PNG rasterizer can't see it either)
+const EXPORT_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'visibility', 'display', 'font-family', 'font-size', 'font-weight',
+    'text-anchor', 'dominant-baseline', 'shape-rendering', 'vector-effect'
+];
+const EXPORT_TITLE_HEIGHT = 24;
+const EXPORT_PNG_SCALE = 2;   // retina-sharp PNGs for slides
+
+function inlineComputedStyles(source, target) {
+    const sources = [source, ...source.querySelectorAll('*')];
+    const targets = [target, ...target.querySelectorAll('*')];
+    sources.forEach((element, i) => {
+        const computed = getComputedStyle(element);
+        targets[i].setAttribute('style', EXPORT_STYLE_PROPERTIES
+            .filter(property => computed.getPropertyValue(property))
+            .map(property => `${property}:${computed.getPropertyValue(property)}`)
+            .join(';'));
+    });
+}
+
+// One standalone SVG per panel: its chart svgs placed as laid out on screen, under the title
+function serializeChart(panel) {
+    const svgs = Array.from(panel.querySelectorAll('svg'))
+        .filter(svg => !svg.closest('.chart-header')); // not the map legend
+    const boxes = svgs.map(svg => svg.getBoundingClientRect());
+    const left = d3.min(boxes, b => b.left);
+    const top = d3.min(boxes, b => b.top);
+    const width = Math.ceil(d3.max(boxes, b => b.right) - left);
+    const height = Math.ceil(d3.max(boxes, b => b.bottom) - top) + EXPORT_TITLE_HEIGHT;
+
+    const root = d3.create('svg')
+        .attr('xmlns', 'http://www.w3.org/2000/svg')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('viewBox', `0 0 ${width} ${height}`);
+
+    root.append('rect')
+        .attr('width', width)
+        .attr('height', height)
+        .attr('fill', getComputedStyle(panel).backgroundColor);
+
+    root.append('text')
+        .attr('x', 8)
+        .attr('y', 16)
+        .attr('fill', '#eee')
+        .attr('font-family', getComputedStyle(panel).fontFamily)
+        .attr('font-size', 13)
+        .attr('font-weight', 600)
+        .text(panel.querySelector('h2').textContent);
+
+    // Canvas layers (the scatter's points) go in as images under the svgs
+    panel.querySelectorAll('canvas').forEach(canvas => {
+        const box = canvas.getBoundingClientRect();
+        root.append('image')
+            .attr('x', box.left - left)
+            .attr('y', box.top - top + EXPORT_TITLE_HEIGHT)
+            .attr('width', box.width)
+            .attr('height', box.height)
+            .attr('href', canvas.toDataURL('image/png'));
+    });
+
+    svgs.forEach((svg, i) => {
+        const clone = svg.cloneNode(true);
+        inlineComputedStyles(svg, clone);
+        clone.removeAttribute('id'); // exported files may be pasted side by side
+        clone.setAttribute('x', boxes[i].left - left);
+        clone.setAttribute('y', boxes[i].top - top + EXPORT_TITLE_HEIGHT);
+        clone.setAttribute('width', boxes[i].width);
+        clone.setAttribute('height', boxes[i].height);
+        root.node().appendChild(clone);
+    });
+
+    return {
+        markup: new XMLSerializer().serializeToString(root.node()),
+        width,
+        height
+    };
+}
+
+function exportChartSvg(panel) {
+    const { markup } = serializeChart(panel);
+    downloadFile(`${panel.id}.svg`, markup, 'image/svg+xml');
+}
+
+// Rasterize the standalone SVG through an <img> onto a canvas
+function exportChartPng(panel) {
+    const { markup, width, height } = serializeChart(panel);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = width * EXPORT_PNG_SCALE;
+        canvas.height = height * EXPORT_PNG_SCALE;
+        const context = canvas.getContext('2d');
+        context.scale(EXPORT_PNG_SCALE, EXPORT_PNG_SCALE);
+        context.drawImage(image, 0, 0);
+        URL.revokeObjectURL(url);
+        canvas.toBlob(blob => downloadFile(`${panel.id}.png`, blob, 'image/png'));
+    };
+    image.onerror = err => {
+        URL.revokeObjectURL(url);
+        console.error('EXPORT: could not render PNG for', panel.id, err);
+    };
+    image.src = url;
+}
+
+// SVG / PNG buttons in every chart header (the order table has its own CSV / JSON export)
+function createExportControls() {
+    d3.selectAll('.chart')
+        .filter(function() {
+            return Array.from(this.querySelectorAll('svg')).some(svg => !svg.closest('.chart-header'));
+        })
+        .each(function() {
+            const panel = this;
+            const actions = d3.select(panel).select('.chart-header')
+                .append('div')
+                .attr('class', 'chart-actions export-actions');
+
+            actions.append('button')
+                .attr('class', 'chart-btn')
+                .attr('title', 'Download this chart as SVG')
+                .text('SVG')
+                .on('click', () => exportChartSvg(panel));
+
+            actions.append('button')
+                .attr('class', 'chart-btn')
+                .attr('title', 'Download this chart as PNG')
+                .text('PNG')
+                .on('click', () => exportChartPng(panel));
+        });
+}
+
+// "Label: value" lines for every active selection, for the printed report
+function activeFilterSummary() {
+    const list = values => Array.from(values).join(', ');
+    const lines = [
+        ['Metric', currentMetric().label],
+        ['Dates', selectedDateRange ? formatDateRange(selectedDateRange) : 'All dates']
+    ];
+
+    if (selectedCategories.size) lines.push(['Categories', list(selectedCategories)]);
+    if (drillPath.length) lines.push(['Drill-down', drillPath.join(' › ')]);
+    if (selectedStates.size) lines.push(['States', list(selectedStates)]);
+    if (selectedCities.size) lines.push(['Cities', list(selectedCities)]);
+    filterPanelGroups.forEach(group => {
+        if (group.selected.size) lines.push([group.label, list(group.selected)]);
+    });
+    if (selectedRfmSegments.size) lines.push(['RFM segments', list(selectedRfmSegments)]);
+    if (selectedCustomers.size) lines.push(['Customers', `${selectedCustomers.size} selected`]);
+    if (selectedDiscountBands.size) {
+        lines.push(['Discount', list(Array.from(selectedDiscountBands, key => discountBandLabel.get(key)))]);
+    }
+    if (scatterSelection) lines.push(['Scatter selection', scatterSelection.label]);
+    if (compareMode) lines.push(['Compare', compareOptions.find(o => o.mode === compareMode).label]);
+    if (tableSearch) lines.push(['Table search', tableSearch]);
+
+    return lines;
+}
+
+function fillReportSummary() {
+    const rows = filterData();
+    const summary = d3.select('#report-summary');
+
+    summary.select('.report-meta')
+        .text(`Generated ${d3.timeFormat('%B %-d, %Y %H:%M')(new Date())} · ` +
+            `${d3.format(',')(rows.length)} of ${d3.format(',')(data.length)} line items`);
+
+    summary.select('.report-filters')
+        .selectAll('li')
+        .data(activeFilterSummary())
+        .join('li')
+        .text(null)
+        .each(function([label, value]) {
+            // Values can come from the URL or an imported file: text nodes only
+            d3.select(this).append('strong').text(`${label}:`);
+            this.append(` ${value}`);
+        });
+}
+
+// Report layout: charts re-rendered at print size, controls hidden; back to normal after printing
+function printReport() {
+    document.body.classList.add('report-mode');
+    d3.select('#report-summary').property('hidden', false);
+    fillReportSummary();
+    createCharts();
+    applyFilters({ pushHistory: false });
+    // let the async map render and the chart transitions land first
+    setTimeout(() => window.print(), UPDATE_DURATION + 300);
+}
+
+function exitReportMode() {
+    if (!document.body.classList.contains('report-mode')) return;
+    document.body.classList.remove('report-mode');
+    d3.select('#report-summary').property('hidden', true);
+    createCharts();
+    applyFilters({ pushHistory: false });
+}
+
+window.addEventListener('afterprint', exitReportMode);
+
+// ===============================
+// 13. KPI Strip - headline totals for the current filters, each with a monthly
+// sparkline and the change vs the prior period
+// ===============================
+const kpiCards = [
+    { label: 'Total Sales', metric: metrics.Sales },
+    { label: 'Total Profit', metric: metrics.Profit },
+    { label: 'Margin', metric: metrics.Margin },
+    { label: 'Orders', metric: metrics.Orders },
+    {
+        label: 'Avg Order Value',
+        metric: {
+            value: v => {
+                const orders = metrics.Orders.value(v);
+                return orders ? metrics.Sales.value(v) / orders : 0;
+            },
+            format: formatCurrency,
+            additive: false // an average: the change is shown in dollars
+        }
+    },
+    { label: 'Units Sold', metric: metrics.Quantity }
+];
+const SPARKLINE_SIZE = { width: 90, height: 22 };
+
+function updateKpiStrip() {
+    const rows = filterData();
+    const timeline = filterData(['dateRange']); // sparklines and deltas need the other periods
+    // Prior period: the one chosen in the comparison toggle, else the equally long one before
+    const periods = comparisonPeriods(compareMode || 'period');
+    const currentRows = inPeriod(timeline, periods.current);
+    const previousRows = inPeriod(timeline, periods.previous);
+    const months = d3.groups(timeline, d => +d.Month)
+        .sort((a, b) => a[0] - b[0]);
+
+    const cards = d3.select('#kpi-strip')
+        .selectAll('.kpi-card')
+        .data(kpiCards)
+        .join(enter => {
+            const card = enter.append('div').attr('class', 'kpi-card');
+            card.append('span').attr('class', 'kpi-label');
+            card.append('span').attr('class', 'kpi-value');
+            const sparkline = card.append('svg')
+                .attr('class', 'kpi-sparkline')
+                .attr('width', SPARKLINE_SIZE.width)
+                .attr('height', SPARKLINE_SIZE.height);
+            sparkline.append('rect')
+                .attr('class', 'kpi-sparkline-period')
+                .attr('height', SPARKLINE_SIZE.height)
+                .attr('fill', 'rgba(255, 255, 255, 0.08)');
+            sparkline.append('path')
+                .attr('class', 'kpi-sparkline-line')
+                .attr('fill', 'none')
+                .attr('stroke', '#facc15')
+                .attr('stroke-width', 1.2);
+            card.append('span').attr('class', 'kpi-change');
+            return card;
+        });
+
+    cards.select('.kpi-label').text(d => d.label);
+    cards.select('.kpi-value').text(d => rows.length ? d.metric.format(d.metric.value(rows)) : '–');
+
+    // Without a date range the value is all-time but the change covers the latest 12
+    // months, so that window's own value goes next to its change (totals shortened)
+    cards.select('.kpi-change')
+        .each(function(d) {
+            const current = d.metric.value(currentRows);
+            const change = previousRows.length
+                ? periodChange(d.metric, current, d.metric.value(previousRows))
+                : null;
+            d3.select(this)
+                .classed('up', change > 0)
+                .classed('down', change < 0)
+                .attr('title', `${formatDateRange(periods.current)} vs ${formatDateRange(periods.previous)}`)
+                .text(selectedDateRange
+                    ? `${formatChange(d.metric, change)} vs ${formatDateRange(periods.previous)}`
+                    : `Last 12 mo ${currentRows.length ? (d.metric.additive ? d.metric.tickFormat : d.metric.format)(current) : '–'}: ${formatChange(d.metric, change)}`);
+        });
+
+    const t = chartTransition();
+    cards.select('.kpi-sparkline')
+        .each(function(d) {
+            updateSparkline(d3.select(this), months.map(([time, v]) => ({
+                date: new Date(time),
+                value: d.metric.value(v)
+            })), periods.current, t);
+        });
+}
+
+// Monthly values as a small line; the months of the current period are highlighted
+function updateSparkline(svg, values, highlight, t) {
+    const { width, height } = SPARKLINE_SIZE;
+    const shown = values.length >= 2;
+    svg.selectAll('rect, path').attr('opacity', shown ? 1 : 0);
+    if (!shown) return;
+
+    const x = d3.scaleTime()
+        .domain(d3.extent(values, d => d.date))
+        .range([1, width - 1]);
+    const y = d3.scaleLinear()
+        .domain(d3.extent(values, d => d.value))
+        .range([height - 2, 2]);
+
+    svg.select('.kpi-sparkline-period')
+        .transition(t)
+        .attr('x', x(highlight[0]))
+        .attr('width', Math.max(0, x(d3.min([highlight[1], x.domain()[1]])) - x(highlight[0])));
+
+    svg.select('.kpi-sparkline-line')
+        .transition(t)
+        .attr('d', d3.line().x(d => x(d.date)).y(d => y(d.value))(values));
+}
+
+// ===============================
+// 14. Pivot Explorer - any two dimensions as rows × columns, a numeric field
+// summed, averaged or counted per cell, shaded as a heatmap
+// ===============================
+const PIVOT_MAX_ROWS = 40;
+const PIVOT_MAX_COLUMNS = 16;
+
+// Header click (or shift-click to add) selects the value, same value again clears it.
+// Cells use `set` (select without toggling) and `clear` instead, see pivotCellClick()
+const setDimension = (key, label, column, set, filter) => ({
+    key,
+    label,
+    value: d => d[column],
+    filters: [filter],
+    active: () => set.size > 0,
+    selected: value => set.has(value),
+    select: (value, rows, additive) => toggleSelection(set, value, additive),
+    set: (value, rows, additive) => {
+        if (!additive) set.clear();
+        set.add(value);
+    },
+    clear: () => set.clear()
+});
+
+// Shift extends the current range to cover `range`
+function setPeriod(range, additive) {
+    selectedDateRange = additive && selectedDateRange
+        ? [d3.min([selectedDateRange[0], range[0]]), d3.max([selectedDateRange[1], range[1]])]
+        : range;
+}
+
+// Same month or year again clears the range
+function selectPeriod(range, additive) {
+    if (selectedDateRange && +selectedDateRange[0] === +range[0] && +selectedDateRange[1] === +range[1]) {
+        selectedDateRange = null;
+    } else {
+        setPeriod(range, additive);
+    }
+}
+
+const periodSelected = range => !!selectedDateRange &&
+    range[0] >= selectedDateRange[0] && range[1] <= selectedDateRange[1];
+
+const yearRange = year => [new Date(year, 0, 1), new Date(year + 1, 0, 1)];
+const monthRange = time => [new Date(time), d3.timeMonth.offset(new Date(time), 1)];
+
+// A city name can be in several states: select it in each (and those states)
+function setCities(rows, additive) {
+    if (!additive) {
+        selectedCities.clear();
+        selectedStates.clear();
+    }
+    rows.forEach(d => {
+        selectedCities.add(cityKey(d));
+        selectedStates.add(d.State);
+    });
+}
+
+// Dimensions rows and columns can group by. `filters` are the dashboard filters
+// the pivot skips for that dimension (so every value stays visible), `name` turns
+// a group key into its header and `order` sorts keys (default: by value, largest
+// first, keeping the top PIVOT_MAX_ROWS / PIVOT_MAX_COLUMNS). The category levels
+// share the drill path, so `set` leaves it alone when it already includes the value
+const pivotDimensions = [
+    {
+        key: 'category',
+        label: 'Category',
+        value: d => d.Category,
+        filters: ['category', 'drill'],
+        active: () => selectedCategories.size > 0 || drillPath.length > 0,
+        selected: value => selectedCategories.has(value) || drillPath[0] === value,
+        select: (value, rows, additive) => {
+            toggleSelection(selectedCategories, value, additive);
+            drillPath = [];
+        },
+        set: (value, rows, additive) => {
+            if (drillPath[0] === value) return;
+            if (!additive) selectedCategories.clear();
+            selectedCategories.add(value);
+            drillPath = [];
+        },
+        clear: () => {
+            selectedCategories.clear();
+            drillPath = [];
+        }
+    },
+    {
+        key: 'subcategory',
+        label: 'Sub-Category',
+        value: d => d['Sub-Category'],
+        filters: ['category', 'drill'],
+        active: () => drillPath.length > 1,
+        selected: value => drillPath[1] === value,
+        select: (value, rows) => {
+            // Drill the bar chart into this sub-category, as the discount grid does
+            drillPath = drillPath[1] === value ? [] : [rows[0].Category, value];
+            selectedCategories.clear();
+        },
+        set: (value, rows) => {
+            if (drillPath[1] === value) return;
+            drillPath = [rows[0].Category, value];
+            selectedCategories.clear();
+        },
+        clear: () => {
+            drillPath = [];
+        }
+    },
+    {
+        key: 'product',
+        label: 'Product',
+        value: d => d['Product Name'],
+        filters: ['category', 'drill'],
+        active: () => drillPath.length > 2,
+        selected: value => drillPath[2] === value,
+        select: (value, rows) => {
+            drillPath = drillPath[2] === value ? [] : [rows[0].Category, rows[0]['Sub-Category'], value];
+            selectedCategories.clear();
+        },
+        set: (value, rows) => {
+            drillPath = [rows[0].Category, rows[0]['Sub-Category'], value];
+            selectedCategories.clear();
+        },
+        clear: () => {
+            drillPath = [];
+        }
+    },
+    setDimension('region', 'Region', 'Region', selectedRegions, 'region'),
+    setDimension('state', 'State', 'State', selectedStates, 'state'),
+    {
+        key: 'city',
+        label: 'City',
+        value: d => d.City,
+        filters: ['state', 'city'],
+        active: () => selectedCities.size > 0,
+        selected: value => Array.from(selectedCities).some(key => key.slice(0, key.lastIndexOf(', ')) === value),
+        select: (value, rows, additive) => {
+            const keys = Array.from(new Set(rows.map(cityKey)));
+            if (keys.every(key => selectedCities.has(key))) {
+                if (!additive) {
+                    selectedCities.clear();
+                    selectedStates.clear();
+                }
+                keys.forEach(key => selectedCities.delete(key));
+                return;
+            }
+            setCities(rows, additive);
+        },
+        set: (value, rows, additive) => setCities(rows, additive),
+        clear: () => {
+            selectedCities.clear();
+            selectedStates.clear();
+        }
+    },
+    setDimension('segment', 'Segment', 'Segment', selectedSegments, 'segment'),
+    setDimension('shipMode', 'Ship Mode', 'Ship Mode', selectedShipModes, 'shipMode'),
+    {
+        ...setDimension('customer', 'Customer', 'Customer ID', selectedCustomers, 'customer'),
+        name: (value, rows) => rows[0]['Customer Name']
+    },
+    {
+        ...setDimension('discount', 'Discount band', 'DiscountBand', selectedDiscountBands, 'discount'),
+        name: value => discountBandLabel.get(value),
+        order: (a, b) => d3.ascending(+a, +b)
+    },
+    {
+        key: 'year',
+        label: 'Order year',
+        value: d => d.OrderDate.getFullYear(),
+        filters: ['dateRange'],
+        active: () => !!selectedDateRange,
+        selected: value => periodSelected(yearRange(value)),
+        select: (value, rows, additive) => selectPeriod(yearRange(value), additive),
+        set: (value, rows, additive) => setPeriod(yearRange(value), additive),
+        clear: () => {
+            selectedDateRange = null;
+        },
+        order: d3.ascending
+    },
+    {
+        key: 'month',
+        label: 'Order month',
+        value: d => +d.Month,
+        filters: ['dateRange'],
+        active: () => !!selectedDateRange,
+        selected: value => periodSelected(monthRange(value)),
+        select: (value, rows, additive) => selectPeriod(monthRange(value), additive),
+        set: (value, rows, additive) => setPeriod(monthRange(value), additive),
+        clear: () => {
+            selectedDateRange = null;
+        },
+        name: value => d3.timeFormat('%b %Y')(new Date(value)),
+        order: d3.ascending
+    }
+];
+
+// A cell sets both its row and column values; when that changes nothing, the cell
+// already was the selection and clicking it again clears both dimensions
+function pivotCellClick(rowDimension, columnDimension, cell, additive) {
+    const before = serializeState();
+    rowDimension.set(cell.row.key, cell.rows, additive);
+    columnDimension.set(cell.column.key, cell.rows, additive);
+    if (serializeState() === before) {
+        rowDimension.clear();
+        columnDimension.clear();
+    }
+}
+
+const pivotFields = [
+    { key: 'Sales', label: 'Sales', value: d => d.Sales, format: formatCurrency },
+    { key: 'Profit', label: 'Profit', value: d => d.Profit, format: formatCurrency },
+    { key: 'Quantity', label: 'Quantity', value: d => d.Quantity, format: d3.format(',.0f'), meanFormat: d3.format(',.2f') },
+    { key: 'Discount', label: 'Discount', value: d => d.Discount, format: d3.format('.1%') },
+    { key: 'DaysToShip', label: 'Days to ship', value: d => d.DaysToShip, format: d3.format(',.1f') }
+];
+
+const pivotAggregates = [
+    { key: 'sum', label: 'Sum', value: (rows, field) => d3.sum(rows, field.value) },
+    { key: 'mean', label: 'Mean', value: (rows, field) => d3.mean(rows, field.value) },
+    { key: 'count', label: 'Count', value: rows => rows.length }
+];
+
+const pivotPart = (list, key) => list.find(item => item.key === key);
+
+function createPivotControls() {
+    const controls = [
+        { id: '#pivot-rows', list: pivotDimensions, prop: 'rows' },
+        { id: '#pivot-columns', list: pivotDimensions, prop: 'columns' },
+        { id: '#pivot-field', list: pivotFields, prop: 'field' },
+        { id: '#pivot-aggregate', list: pivotAggregates, prop: 'aggregate' }
+    ];
+
+    controls.forEach(({ id, list, prop }) => {
+        d3.select(id)
+            .on('change', function() {
+                // Picking the other axis's dimension swaps the two
+                const other = { rows: 'columns', columns: 'rows' }[prop];
+                if (other && pivotConfig[other] === this.value) pivotConfig[other] = pivotConfig[prop];
+                pivotConfig[prop] = this.value;
+                applyFilters();
+            })
+            .selectAll('option')
+            .data(list)
+            .join('option')
+            .attr('value', d => d.key)
+            .text(d => d.label);
+    });
+
+    d3.select('#pivot-swap').on('click', () => {
+        [pivotConfig.rows, pivotConfig.columns] = [pivotConfig.columns, pivotConfig.rows];
+        applyFilters();
+    });
+}
+
+function updatePivotPanel() {
+    const rowDimension = pivotPart(pivotDimensions, pivotConfig.rows);
+    const columnDimension = pivotPart(pivotDimensions, pivotConfig.columns);
+    const field = pivotPart(pivotFields, pivotConfig.field);
+    const aggregate = pivotPart(pivotAggregates, pivotConfig.aggregate);
+    const measure = rows => aggregate.value(rows, field);
+    const format = aggregate.key === 'count' ? d3.format(',')
+        : aggregate.key === 'mean' && field.meanFormat ? field.meanFormat
+        : field.format;
+    const measureLabel = aggregate.key === 'count' ? 'Order lines' : `${field.label} (${aggregate.label.toLowerCase()})`;
+
+    d3.select('#pivot-rows').property('value', rowDimension.key);
+    d3.select('#pivot-columns').property('value', columnDimension.key);
+    d3.select('#pivot-field').property('value', field.key).property('disabled', aggregate.key === 'count');
+    d3.select('#pivot-aggregate').property('value', aggregate.key);
+
+    // Every value of both dimensions stays visible; selected ones are highlighted
+    const rows = filterData([...rowDimension.filters, ...columnDimension.filters]);
+    const headers = (dimension, limit) => {
+        const groups = Array.from(d3.group(rows, dimension.value), ([key, v]) => ({
+            key,
+            name: dimension.name ? dimension.name(key, v) : String(key),
+            rows: v,
+            value: measure(v)
+        }));
+        // Ordered dimensions (years, months, bands) are short enough to show in full
+        if (dimension.order) {
+            groups.sort((a, b) => dimension.order(a.key, b.key));
+            return { shown: groups, total: groups.length };
+        }
+        groups.sort((a, b) => d3.descending(a.value, b.value));
+        return { shown: groups.slice(0, limit), total: groups.length };
+    };
+    const rowHeaders = headers(rowDimension, PIVOT_MAX_ROWS);
+    const columnHeaders = headers(columnDimension, PIVOT_MAX_COLUMNS);
+
+    const byCell = d3.group(rows, rowDimension.value, columnDimension.value);
+    const grid = rowHeaders.shown.map(row => ({
+        ...row,
+        cells: columnHeaders.shown.map(column => {
+            const cellRows = (byCell.get(row.key) && byCell.get(row.key).get(column.key)) || [];
+            return {
+                row,
+                column,
+                rows: cellRows,
+                value: cellRows.length ? measure(cellRows) : null
+            };
+        })
+    }));
+
+    // Heatmap: diverging around zero when any cell is negative (profit), else sequential
+    const values = grid.flatMap(row => row.cells.map(c => c.value)).filter(v => v !== null);
+    const [low, high] = d3.extent(values);
+    const maxAbs = d3.max(values, Math.abs) || 1;
+    const color = low < 0
+        ? d3.scaleDiverging(d3.interpolateRdBu).domain([-maxAbs, 0, maxAbs])
+        : d3.scaleSequential(d3.interpolateBlues).domain([0, high || 1]);
+    const textColor = fill => d3.lab(fill).l > 60 ? '#111' : '#eee';
+
+    const isDimmed = (dimension, key) => dimension.active() && !dimension.selected(key);
+    const selectAndApply = (event, apply) => {
+        apply(event.shiftKey);
+        hideTooltip();
+        applyFilters();
+    };
+    const hidden = [
+        rowHeaders.total > rowHeaders.shown.length ? `top ${rowHeaders.shown.length} of ${d3.format(',')(rowHeaders.total)} ${rowDimension.label.toLowerCase()} rows` : '',
+        columnHeaders.total > columnHeaders.shown.length ? `top ${columnHeaders.shown.length} of ${d3.format(',')(columnHeaders.total)} ${columnDimension.label.toLowerCase()} columns` : ''
+    ].filter(Boolean);
+    d3.select('#pivot-note').text(!rows.length
+        ? 'No orders for this selection'
+        : `${measureLabel}${hidden.length ? ` · showing ${hidden.join(' and ')}` : ''}`);
+
+    const table = d3.select('#pivot-table');
+    table.select('caption')
+        .text(`${measureLabel} by ${rowDimension.label} and ${columnDimension.label}`);
+
+    // Header row: corner, one button per column value, total
+    const headerCells = table.select('thead tr')
+        .selectAll('th')
+        .data([{ corner: true }, ...columnHeaders.shown, { total: true }], d => d.corner ? 'corner' : d.total ? 'total' : d.key)
+        .join('th')
+        .order()
+        .attr('scope', 'col')
+        .attr('class', d => d.corner ? 'pivot-corner' : d.total ? 'total numeric' : 'numeric')
+        .classed('dim', d => !d.corner && !d.total && isDimmed(columnDimension, d.key))
+        .classed('selected', d => !d.corner && !d.total && columnDimension.active() && columnDimension.selected(d.key));
+    headerCells.filter(d => d.corner).text(`${rowDimension.label} / ${columnDimension.label}`);
+    headerCells.filter(d => d.total).text('Total');
+    const columnButtons = headerCells.filter(d => !d.corner && !d.total)
+        .selectAll('button')
+        .data(d => [d])
+        .join('button')
+        .attr('class', 'pivot-key')
+        .text(d => d.name)
+        .on('mouseover', (event, d) => showTooltip(event, `
+            <strong>${columnDimension.label}: ${escapeHtml(d.name)}</strong><br>
+            ${measureLabel}: ${format(d.value)}<br>
+            Order lines: ${d3.format(',')(d.rows.length)}
+        `))
+        .on('mouseout', hideTooltip)
+        .on('click', (event, d) => selectAndApply(event, additive => columnDimension.select(d.key, d.rows, additive)));
+
+    // Body: row header button, cells, row total
+    const bodyRows = table.select('tbody')
+        .selectAll('tr')
+        .data(grid, d => d.key)
+        .join('tr')
+        .order();
+
+    const rowButtons = bodyRows.selectAll('th')
+        .data(d => [d])
+        .join('th')
+        .attr('scope', 'row')
+        .classed('dim', d => isDimmed(rowDimension, d.key))
+        .classed('selected', d => rowDimension.active() && rowDimension.selected(d.key))
+        .selectAll('button')
+        .data(d => [d])
+        .join('button')
+        .attr('class', 'pivot-key')
+        .text(d => d.name)
+        .on('mouseover', (event, d) => showTooltip(event, `
+            <strong>${rowDimension.label}: ${escapeHtml(d.name)}</strong><br>
+            ${measureLabel}: ${format(d.value)}<br>
+            Order lines: ${d3.format(',')(d.rows.length)}
+        `))
+        .on('mouseout', hideTooltip)
+        .on('click', (event, d) => selectAndApply(event, additive => rowDimension.select(d.key, d.rows, additive)));
+
+    const cells = bodyRows.selectAll('td')
+        .data(d => [...d.cells, { total: true, value: d.value }])
+        .join('td')
+        .attr('class', d => d.total ? 'total numeric' : 'numeric')
+        .classed('dim', d => !d.total && (isDimmed(rowDimension, d.row.key) || isDimmed(columnDimension, d.column.key)))
+        .style('background', d => d.total || d.value === null ? null : color(d.value))
+        .style('color', d => d.total || d.value === null ? null : textColor(color(d.value)));
+    cells.filter(d => d.total).text(d => format(d.value));
+
+    const cellButtons = cells.filter(d => !d.total)
+        .each(function() {
+            if (!this.querySelector('button')) this.textContent = ''; // was a total cell
+        })
+        .selectAll('button')
+        .data(d => [d])
+        .join('button')
+        .attr('class', 'pivot-value')
+        .property('disabled', d => d.value === null)
+        .text(d => d.value === null ? '–' : format(d.value))
+        .on('mouseover', (event, d) => showTooltip(event, `
+            <strong>${escapeHtml(d.row.name)} × ${escapeHtml(d.column.name)}</strong><br>
+            ${measureLabel}: ${format(d.value)}<br>
+            Order lines: ${d3.format(',')(d.rows.length)}
+        `))
+        .on('mouseout', hideTooltip)
+        .on('click', (event, d) => selectAndApply(event, additive =>
+            pivotCellClick(rowDimension, columnDimension, d, additive)));
+
+    // Grand total
+    table.select('tfoot tr')
+        .selectAll('th, td')
+        .data([{ label: 'Total' }, ...columnHeaders.shown.map(c => ({ value: c.value })), { value: rows.length ? measure(rows) : null }])
+        .join(enter => enter.append(d => document.createElement(d.label ? 'th' : 'td')))
+        .attr('scope', d => d.label ? 'row' : null)
+        .attr('class', d => d.label ? 'total' : 'total numeric')
+        .text(d => d.label || (d.value === null ? '–' : format(d.value)));
+
+    makeFocusable(columnButtons, {
+        name: 'pivot-columns',
+        key: d => d.key,
+        label: d => `${columnDimension.label} ${d.name}: ${measureLabel} ${format(d.value)}`,
+        pressed: d => columnDimension.active() && columnDimension.selected(d.key)
+    });
+    makeFocusable(rowButtons, {
+        name: 'pivot-rows',
+        key: d => d.key,
+        label: d => `${rowDimension.label} ${d.name}: ${measureLabel} ${format(d.value)}`,
+        pressed: d => rowDimension.active() && rowDimension.selected(d.key)
+    });
+    makeFocusable(cellButtons.filter(d => d.value !== null), {
+        name: 'pivot-cells',
+        key: d => `${d.row.key}|${d.column.key}`,
+        label: d => `${d.row.name}, ${d.column.name}: ${measureLabel} ${format(d.value)}`,
+        pressed: d => !isDimmed(rowDimension, d.row.key) && !isDimmed(columnDimension, d.column.key) &&
+            (rowDimension.active() || columnDimension.active())
+    });
+}
+
+// ===============================
+// 15. Alerts - low-margin states, sub-categories and months, month-over-month
+// sales drops and extreme-loss order lines; clicking one sets the view behind it
+// ===============================
+const alertOptions = {
+    margin: [-0.1, 0, 0.05, 0.1],
+    sigma: [1.5, 2, 2.5, 3],
+    loss: [500, 1000, 2000]
+};
+const ALERT_MIN_ROWS = 5; // groups with fewer order lines are too noisy to flag
+
+const formatMargin = d3.format('.1%');
+
+// Each alert kind: the rows it is computed from (skipping its own filter, so the
+// alerted state or month stays listed once selected), whether its view is the
+// current one, and how to select (or, when current, clear) that view
+const marginAlertKinds = [
+    {
+        label: 'State',
+        value: d => d.State,
+        filters: ['state', 'city'],
+        active: key => selectedStates.size === 1 && selectedStates.has(key),
+        select: (key, active) => {
+            selectedStates.clear();
+            if (!active) selectedStates.add(key);
+        }
+    },
+    {
+        label: 'Sub-Category',
+        value: d => d['Sub-Category'],
+        filters: ['category', 'drill'],
+        active: key => drillPath.length === 2 && drillPath[1] === key,
+        select: (key, active, rows) => {
+            drillPath = active ? [] : [rows[0].Category, key];
+            selectedCategories.clear();
+        }
+    },
+    {
+        label: 'Month',
+        value: d => +d.Month,
+        name: key => d3.timeFormat('%b %Y')(new Date(key)),
+        filters: ['dateRange'],
+        active: key => !!selectedDateRange && +selectedDateRange[0] === key &&
+            +selectedDateRange[1] === +d3.timeMonth.offset(new Date(key), 1),
+        select: (key, active) => {
+            selectedDateRange = active ? null : monthRange(key);
+        }
+    }
+];
+
+// Groups of each kind whose margin is below the threshold, worst first
+function marginAlerts() {
+    return marginAlertKinds.flatMap(kind => {
+        const rows = filterData(kind.filters);
+        return Array.from(d3.group(rows, kind.value), ([key, v]) => {
+            const sales = d3.sum(v, d => d.Sales);
+            const profit = d3.sum(v, d => d.Profit);
+            return { kind, key, rows: v, sales, profit, margin: sales ? profit / sales : 0 };
+        })
+            .filter(d => d.rows.length >= ALERT_MIN_ROWS && d.margin < alertSettings.margin)
+            .map(d => ({
+                ...d,
+                id: `${kind.label}:${d.key}`,
+                title: `${kind.label}: ${kind.name ? kind.name(d.key) : d.key}`,
+                detail: `${formatCurrency(d.profit)} profit on ${formatCurrency(d.sales)} sales`,
+                value: formatMargin(d.margin),
+                active: kind.active(d.key),
+                select: () => kind.select(d.key, kind.active(d.key), d.rows)
+            }));
+    }).sort((a, b) => d3.ascending(a.margin, b.margin));
+}
+
+// Compare mode the user had before a sales drop alert switched to 'period', restored on clear
+let compareModeBeforeAlert = null;
+
+// Month-over-month sales changes more than `sigma` standard deviations below the
+// mean change; the view is that month compared with the month before it. Changes
+// are log ratios, so a halving weighs as much as a doubling (percent changes are
+// skewed by the big seasonal rises). A fall to no sales at all has no ratio: it is
+// always flagged, ahead of the rest
+function salesDropAlerts() {
+    const rows = filterData(['dateRange']);
+    if (!rows.length) return [];
+    const byMonth = d3.rollup(rows, v => d3.sum(v, d => d.Sales), d => +d.Month);
+    const [first, last] = d3.extent(rows, d => d.Month);
+    const months = d3.timeMonth.range(first, d3.timeMonth.offset(last, 1))
+        .map(month => ({ month, sales: byMonth.get(+month) || 0 }));
+    const changes = d3.pairs(months, (previous, current) => ({
+        ...current,
+        previous: previous.sales,
+        change: !previous.sales ? null
+            : current.sales ? Math.log(current.sales / previous.sales)
+            : -Infinity
+    })).filter(d => d.change !== null);
+
+    const ratios = changes.filter(d => isFinite(d.change));
+    const mean = d3.mean(ratios, d => d.change);
+    const deviation = d3.deviation(ratios, d => d.change);
+    const score = d => !isFinite(d.change) ? -Infinity
+        : deviation ? (d.change - mean) / deviation
+        : 0;
+
+    const isActive = month => compareMode === 'period' && !!selectedDateRange &&
+        +selectedDateRange[0] === +month && +selectedDateRange[1] === +d3.timeMonth.offset(month, 1);
+    const anyActive = () => changes.some(d => isActive(d.month));
+    return changes
+        .map(d => ({ ...d, z: score(d) }))
+        .filter(d => d.z < -alertSettings.sigma)
+        .sort((a, b) => d3.ascending(a.z, b.z))
+        .map(d => ({
+            id: `drop:${+d.month}`,
+            title: `${d3.timeFormat('%b %Y')(d.month)}: sales ${d3.format('.0%')(Math.expm1(d.change))}`,
+            detail: `${formatCurrency(d.sales)} vs ${formatCurrency(d.previous)} the month before`,
+            value: isFinite(d.z) ? `${d3.format('.1f')(d.z)}σ` : 'no sales',
+            active: isActive(d.month),
+            select: () => {
+                if (isActive(d.month)) {
+                    selectedDateRange = null;
+                    compareMode = compareModeBeforeAlert;
+                    return;
+                }
+                if (!anyActive()) compareModeBeforeAlert = compareMode;
+                selectedDateRange = monthRange(+d.month);
+                compareMode = 'period';
+            }
+        }));
+}
+
+// Order lines losing more than the threshold; the view is a scatter selection of
+// that line, a box 0.1% either side of it (the URL keeps 6 significant digits)
+function lossAlerts() {
+    const selectionLabel = d => `Order ${d['Order ID']}`;
+    const isActive = d => !!scatterSelection && scatterSelection.label === selectionLabel(d) &&
+        d.Sales >= scatterSelection.sales[0] && d.Sales <= scatterSelection.sales[1] &&
+        d.Profit >= scatterSelection.profit[0] && d.Profit < scatterSelection.profit[1];
+    return filterData()
+        .filter(d => d.Profit < -alertSettings.loss)
+        .sort((a, b) => d3.ascending(a.Profit, b.Profit))
+        .map(d => ({
+            id: `loss:${d['Order ID']}:${d['Product Name']}:${d.Profit}`,
+            title: `${d['Order ID']} · ${d['Customer Name']}`,
+            detail: `${d['Product Name']} (${d.State}, ${d3.format('.0%')(d.Discount)} off)`,
+            value: formatCurrency(d.Profit),
+            active: isActive(d),
+            select: () => {
+                scatterSelection = isActive(d) ? null : {
+                    label: selectionLabel(d),
+                    sales: [d.Sales * 0.999, d.Sales * 1.001],
+                    profit: [d.Profit * 1.001, d.Profit * 0.999] // losses are negative
+                };
+            }
+        }));
+}
+
+function createAlertControls() {
+    const controls = [
+        { id: '#alert-margin', prop: 'margin', text: v => `Margin below ${d3.format('.0%')(v)}` },
+        { id: '#alert-sigma', prop: 'sigma', text: v => `Drops beyond ${v}σ` },
+        { id: '#alert-loss', prop: 'loss', text: v => `Losses over ${formatCurrency(v)}` }
+    ];
+
+    controls.forEach(({ id, prop, text }) => {
+        d3.select(id)
+            .on('change', function() {
+                alertSettings[prop] = +this.value;
+                applyFilters();
+            })
+            .selectAll('option')
+            .data(alertOptions[prop])
+            .join('option')
+            .attr('value', d => d)
+            .text(text);
+    });
+}
+
+function updateAlertsPanel() {
+    d3.select('#alert-margin').property('value', alertSettings.margin);
+    d3.select('#alert-sigma').property('value', alertSettings.sigma);
+    d3.select('#alert-loss').property('value', alertSettings.loss);
+
+    const lists = [
+        { selector: '#alerts-margin', name: 'alerts-margin', alerts: marginAlerts(), empty: 'No state, sub-category or month below the margin threshold' },
+        { selector: '#alerts-drops', name: 'alerts-drops', alerts: salesDropAlerts(), empty: 'No unusual month-over-month drop' },
+        { selector: '#alerts-losses', name: 'alerts-losses', alerts: lossAlerts(), empty: 'No order line over the loss threshold' }
+    ];
+    const total = d3.sum(lists, list => list.alerts.length);
+    d3.select('#alerts-count').text(total ? `(${d3.format(',')(total)})` : '');
+
+    lists.forEach(({ selector, name, alerts, empty }) => {
+        const section = d3.select(selector);
+        section.select('.alert-count').text(d3.format(',')(alerts.length));
+        section.select('.alert-empty').property('hidden', alerts.length > 0).text(empty);
+
+        const buttons = section.select('ol')
+            .selectAll('li')
+            .data(alerts, d => d.id)
+            .join(enter => {
+                const li = enter.append('li');
+                const button = li.append('button').attr('class', 'alert-item');
+                button.append('span').attr('class', 'alert-title');
+                button.append('span').attr('class', 'alert-value');
+                button.append('span').attr('class', 'alert-detail');
+                return li;
+            })
+            .order()
+            .select('button')
+            .classed('active', d => d.active);
+
+        buttons.select('.alert-title').text(d => d.title);
+        buttons.select('.alert-value').text(d => d.value);
+        buttons.select('.alert-detail').text(d => d.detail);
+        buttons.on('click', (event, d) => {
+            d.select();
+            applyFilters();
+        });
+
+        makeFocusable(buttons, {
+            name,
+            key: d => d.id,
+            label: d => `${d.title}, ${d.value}. ${d.detail}`,
+            pressed: d => d.active
+        });
+    });
+}
+
+// ===============================
+// 16. Responsive Layout - panels are watched with a ResizeObserver; after a
+// resize settles every chart is rebuilt at its new size (map projection included)
+// ===============================
+const RESIZE_DEBOUNCE = 200;     // ms after the last resize before re-laying out
+const NARROW_PANEL_WIDTH = 480;  // px; narrower charts get fewer ticks and legends below the plot
+let resizeTimer = null;
+let layoutChanging = false;      // true while redrawing for a new size: no animations
+const panelSizes = new WeakMap(); // panel → "width×height" it was last laid out at
+
+function isNarrow(width) {
+    return width < NARROW_PANEL_WIDTH;
+}
+
+// Transition for chart updates; instant while the layout is changing, since
+// marks jumping to their new size reads better than sliding there
+function chartTransition() {
+    return d3.transition().duration(layoutChanging ? 0 : UPDATE_DURATION);
+}
+
+function observePanelSizes() {
+    if (!window.ResizeObserver) {
+        window.addEventListener('resize', scheduleRelayout);
+        return;
+    }
+
+    const observer = new ResizeObserver(entries => {
+        // The first report per panel is its initial size, not a change
+        const resized = entries.filter(entry => {
+            const { width, height } = entry.contentRect;
+            const size = `${Math.round(width)}×${Math.round(height)}`;
+            const previous = panelSizes.get(entry.target);
+            panelSizes.set(entry.target, size);
+            return previous !== undefined && previous !== size;
+        });
+        if (resized.length) scheduleRelayout();
+    });
+    document.querySelectorAll('.chart').forEach(panel => observer.observe(panel));
+}
+
+function scheduleRelayout() {
+    clearTimeout(resizeTimer);
+    resizeTimer = setTimeout(relayout, RESIZE_DEBOUNCE);
+}
+
+function relayout() {
+    console.log('LAYOUT: Re-rendering for the new panel sizes');
+    layoutChanging = true;
+    createCharts();
+    applyFilters({ pushHistory: false, announce: false });
+    layoutChanging = false;
 }
 
 // ===============================
-// 5. Demo Video Modal
+// 17. Demo Video Modal
 // ===============================
 const modal = document.getElementById("video-modal");
 const video = document.getElementById("demo-video");